@@ -1,13 +1,17 @@
 import Vue from 'vue'
 import plugins from '~/.temp/plugins-server'
+import { LOCALES } from '~/.temp/constants'
 import main from './main'
 
 import head from './head'
 import router from './router'
 import fetchPath from './fetchPath'
+import search from './search'
 import { url } from './utils/helpers'
+import { currentLocale, createAlternateLinks } from './utils/i18n'
 import graphqlGuard from './graphql/guard'
 import graphqlMixin from './graphql/mixin'
+import { waitForStaticQueries } from './graphql/static'
 
 import Link from './components/Link'
 import Image from './components/Image'
@@ -20,13 +24,23 @@ Vue.component('ClientOnly', ClientOnly)
 
 Vue.prototype.$url = url
 Vue.prototype.$fetch = fetchPath
+Vue.prototype.$search = search
 
 router.beforeEach(graphqlGuard)
 
+// static query results are fetched when the components are loaded
+router.beforeResolve((to, from, next) => {
+  if (process.isServer) return next()
+
+  waitForStaticQueries(to)
+    .then(() => next())
+    .catch(err => next(err))
+})
+
 const context = {
   appOptions: {
     render: h => h('router-view', { attrs: { id: 'app' } }),
-    metaInfo: head,
+    metaInfo: LOCALES.length ? localizedHead : head,
     methods: {},
     data: {},
     router
@@ -39,6 +53,14 @@ const context = {
 
 runPlugins(plugins)
 
+function localizedHead () {
+  return {
+    ...head,
+    htmlAttrs: { ...head.htmlAttrs, lang: currentLocale(this.$route) },
+    link: head.link.concat(createAlternateLinks(this.$route, router))
+  }
+}
+
 export function runPlugins(plugins) {
   for (const { run, options } of plugins) {
     if (typeof run === 'function') {
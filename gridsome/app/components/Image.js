@@ -13,6 +13,7 @@ export default {
     position: { type: String, default: '' },
     background: { type: String, default: '' },
     blur: { type: String, default: '' },
+    formats: { type: String, default: '' },
     immediate: { type: true, default: undefined }
   },
 
@@ -23,6 +24,7 @@ export default {
     const directives = data.directives || []
     const attrs = data.attrs || {}
     const hook = data.hook || {}
+    const sources = []
     const res = []
 
     switch (typeof props.src) {
@@ -34,13 +36,24 @@ export default {
       case 'object': {
         const { src, srcset, sizes, size, dataUri } = props.src
         const isLazy = !isImmediate && dataUri
+        const prefix = isLazy ? 'data-' : ''
 
         attrs.src = isLazy ? dataUri : src
         attrs.width = size.width
 
         if (isLazy) attrs['data-src'] = src
-        if (srcset.length) attrs[`${isLazy ? 'data-' : ''}srcset`] = srcset.join(', ')
-        if (sizes) attrs[`${isLazy ? 'data-' : ''}sizes`] = sizes
+        if (srcset.length) attrs[`${prefix}srcset`] = srcset.join(', ')
+        if (sizes) attrs[`${prefix}sizes`] = sizes
+
+        for (const source of props.src.sources || []) {
+          sources.push(h('source', {
+            attrs: {
+              type: source.type,
+              [`${prefix}srcset`]: source.srcset.join(', '),
+              [`${prefix}sizes`]: sizes
+            }
+          }))
+        }
 
         if (isLazy) {
           directives.push({ name: 'g-image' })
@@ -58,17 +71,29 @@ export default {
         // clear srcset and sizes to show the dataUri image
         vnode.elm.srcset = ''
         vnode.elm.sizes = ''
+
+        if (vnode.elm.parentNode && vnode.elm.parentNode.tagName === 'PICTURE') {
+          vnode.elm.parentNode.querySelectorAll('source').forEach(el => {
+            el.srcset = ''
+            el.sizes = ''
+          })
+        }
       }
     }
 
-    res.push(h('img', {
+    const img = h('img', {
       ...data,
       class: classNames,
       directives,
       props,
       attrs,
       hook
-    }))
+    })
+
+    res.push(sources.length
+      ? h('picture', { staticClass: 'g-picture' }, sources.concat(img))
+      : img
+    )
 
     if (attrs['data-src']) {
       classNames.push('g-image--lazy')
@@ -1,4 +1,5 @@
 import config from '~/.temp/config.js'
+import { currentLocale, localizePath, unlocalizePath } from '../utils/i18n'
 
 // @vue/component
 export default {
@@ -7,6 +8,7 @@ export default {
   props: {
     to: { type: [Object, String], default: null },
     page: { type: Number, default: 0 },
+    locale: { type: [Boolean, String], default: false },
     activeClass: { type: String, default: undefined },
     exactActiveClass: { type: String, default: undefined }
   },
@@ -32,6 +34,15 @@ export default {
       ? { path: props.to, params: {}}
       : { params: {}, ...props.to }
 
+    // keep links within the current or a specific locale
+    if (props.locale && to.path) {
+      const locale = props.locale === true
+        ? currentLocale(parent.$route)
+        : props.locale
+
+      to.path = localizePath(unlocalizePath(to.path), locale)
+    }
+
     if (props.page) {
       to.params.page = props.page > 1 ? props.page : null
       attrs.exact = true
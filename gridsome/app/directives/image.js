@@ -74,6 +74,13 @@ function loadImage (el) {
     addClass(el, 'g-image--loaded')
   }
 
+  if (el.parentNode && el.parentNode.tagName === 'PICTURE') {
+    el.parentNode.querySelectorAll('source[data-srcset]').forEach(source => {
+      source.srcset = source.getAttribute('data-srcset')
+      source.sizes = source.getAttribute('data-sizes')
+    })
+  }
+
   el.srcset = srcset
   el.sizes = sizes
   el.src = src
@@ -1,4 +1,4 @@
-import fetch from '../fetch'
+import fetch, { prefetchStaticQueries } from '../fetch'
 import router from '../router'
 import caniuse from '../utils/caniuse'
 import { stripPathPrefix } from '../utils/helpers'
@@ -31,9 +31,13 @@ function intersectionHandler ({ intersectionRatio, target }) {
         const path = stripPathPrefix(target.pathname)
         const { route } = router.resolve({ path })
 
-        if (!route.meta.data) return
+        setTimeout(() => {
+          prefetchStaticQueries(route)
 
-        setTimeout(() => fetch(route, { shouldPrefetch: true }), 250)
+          if (route.meta.data) {
+            fetch(route, { shouldPrefetch: true })
+          }
+        }, 250)
       }
     }
   }
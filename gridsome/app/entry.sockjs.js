@@ -1,6 +1,7 @@
 import fetch from './fetch'
 import router from './router'
 import SockJS from 'sockjs-client'
+import { setStaticResults } from './graphql/static'
 import { formatError, clearAllResults, setResults } from './graphql/shared'
 
 const sock = new SockJS(process.env.SOCKJS_ENDPOINT)
@@ -22,5 +23,10 @@ sock.onmessage = message => {
         .catch(err => formatError(err, router.currentRoute))
 
       break
+
+    case 'static-query':
+      setStaticResults(data.id, data.data)
+
+      break
   }
 }
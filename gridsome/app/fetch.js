@@ -1,6 +1,7 @@
 import prefetch from './utils/prefetch'
 import { unslashEnd, stripPageParam } from './utils/helpers'
 import { NOT_FOUND_PATH } from '~/.temp/constants'
+import staticQueries from '~/.temp/static-queries'
 
 const dataUrl = process.env.DATA_URL
 const isPrefetched = {}
@@ -43,7 +44,10 @@ export default (route, options = {}) => {
             data: res.data,
             context: res.extensions
               ? res.extensions.context
-              : {}
+              : {},
+            static: res.extensions
+              ? res.extensions.static
+              : null
           })
         })
         .catch(reject)
@@ -91,7 +95,70 @@ export default (route, options = {}) => {
   })
 }
 
-function fetchJSON (jsonPath) {
+export function fetchStaticQuery (id) {
+  if (!process.isStatic) {
+    return fetch(process.env.GRAPHQL_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ staticQuery: id })
+    })
+      .then(res => res.json())
+      .then(res => {
+        if (res.errors) throw res.errors[0]
+        return res.data
+      })
+  }
+
+  const jsonPath = dataUrl + `static/${staticQueries[id]}.json`
+
+  if (!isLoaded[jsonPath]) {
+    isLoaded[jsonPath] = fetchJSON(jsonPath).catch(err => {
+      delete isLoaded[jsonPath]
+      throw err
+    })
+  }
+
+  return isLoaded[jsonPath]
+}
+
+// static query results are prefetched like page data
+// before the route components are loaded
+export function prefetchStaticQueries (route) {
+  const { staticQueries: ids = [] } = route.meta
+
+  if (!process.isStatic) {
+    return Promise.resolve()
+  }
+
+  return Promise.all(ids.map(id => {
+    const jsonPath = dataUrl + `static/${staticQueries[id]}.json`
+
+    if (isLoaded[jsonPath]) return
+
+    if (!isPrefetched[jsonPath]) {
+      isPrefetched[jsonPath] = prefetch(jsonPath).catch(() => {
+        delete isPrefetched[jsonPath]
+      })
+    }
+
+    return isPrefetched[jsonPath]
+  }))
+}
+
+// Large query results are moved out of the inlined page state
+// and must be fetched before the page can be hydrated.
+export function resolveStateRefs ({ data, $refs, ...state }) {
+  const keys = Object.keys($refs)
+
+  return Promise.all(keys.map(key => fetchJSON(dataUrl + $refs[key])))
+    .then(values => {
+      const results = { ...data }
+      keys.forEach((key, i) => (results[key] = values[i]))
+      return { ...state, data: results }
+    })
+}
+
+export function fetchJSON (jsonPath) {
   return new Promise((resolve, reject) => {
     const req = new XMLHttpRequest()
 
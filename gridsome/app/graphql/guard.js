@@ -1,12 +1,27 @@
-import fetch from '../fetch'
+import fetch, { resolveStateRefs } from '../fetch'
 import { getResults, setResults, formatError } from './shared'
 
 export default (to, from, next) => {
   if (process.isServer) return next()
 
   if (process.isProduction && global.__INITIAL_STATE__) {
-    setResults(to.path, global.__INITIAL_STATE__)
+    const state = global.__INITIAL_STATE__
+
     global.__INITIAL_STATE__ = null
+
+    if (state.$refs) {
+      return resolveStateRefs(state)
+        .then(res => {
+          setResults(to.path, res)
+          next()
+        })
+        .catch(err => {
+          formatError(err, to)
+          next(err)
+        })
+    }
+
+    setResults(to.path, state)
     return next()
   } else if (getResults(to.path)) {
     return next()
@@ -0,0 +1,41 @@
+import Vue from 'vue'
+import { fetchStaticQuery } from '../fetch'
+
+const cache = Vue.observable({})
+const pending = {}
+
+export function loadStaticQuery (id) {
+  if (!pending[id]) {
+    pending[id] = fetchStaticQuery(id)
+      .then(data => setStaticResults(id, data))
+      .catch(err => {
+        delete pending[id]
+        throw err
+      })
+  }
+
+  return pending[id]
+}
+
+// resolves when all static queries used by the route and loaded
+// by its components are fetched, failed queries are loaded again
+export function waitForStaticQueries (route) {
+  const { staticQueries: ids = [] } = route.meta
+
+  ids.forEach(id => loadStaticQuery(id))
+
+  return Promise.all(Object.keys(pending).map(id => pending[id]))
+}
+
+export function setStaticResults (id, data) {
+  return Vue.set(cache, id, data)
+}
+
+export function getStaticResults (vm, id) {
+  if (process.isServer) {
+    const { staticData } = vm.$ssrContext
+    return staticData && staticData[id] ? staticData[id] : null
+  }
+
+  return cache[id] || null
+}
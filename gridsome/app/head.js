@@ -15,7 +15,7 @@ const head = {
   __dangerouslyDisableSanitizers: ['style', 'script', 'noscript'],
   __dangerouslyDisableSanitizersByTagID: {},
   htmlAttrs: {
-    lang: 'en'
+    lang: config.defaultLocale
   },
   meta: [
     { charset: 'utf-8' },
@@ -10,3 +10,7 @@ export { url } from './utils/helpers'
 export function fetch(path) {
   return Vue.prototype.$fetch(path)
 }
+
+export function search(query, options) {
+  return Vue.prototype.$search(query, options)
+}
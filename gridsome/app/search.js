@@ -0,0 +1,108 @@
+import { fetchJSON } from './fetch'
+import { TOKEN_SEPARATOR } from '~/.temp/constants'
+
+const baseUrl = process.isStatic
+  ? `${process.env.ASSETS_URL}search/`
+  : `${process.env.SEARCH_ENDPOINT}/`
+
+const isLoaded = {}
+let manifest = null
+
+export default function search (query, options = {}) {
+  if (process.isServer) {
+    return Promise.resolve([])
+  }
+
+  const { limit = 10 } = options
+  const tokens = tokenize(query)
+
+  if (!tokens.length) {
+    return Promise.resolve([])
+  }
+
+  return loadManifest()
+    .then(({ docs, chunks }) => {
+      const keys = tokens.map(token => token.charAt(0))
+
+      return Promise.all(keys.map(key => loadChunk(chunks[key])))
+        .then(results => rank(docs, tokens, results).slice(0, limit))
+    })
+    .catch(err => {
+      if (err.code === 404) return []
+      throw err
+    })
+}
+
+function loadManifest () {
+  // the develop server always answers from the live store
+  if (!manifest || !process.isStatic) {
+    manifest = fetchJSON(`${baseUrl}index.json`).catch(err => {
+      manifest = null
+      throw err
+    })
+  }
+
+  return manifest
+}
+
+function loadChunk (filename) {
+  if (!filename) return Promise.resolve({})
+
+  if (!isLoaded[filename]) {
+    isLoaded[filename] = fetchJSON(baseUrl + filename).catch(err => {
+      delete isLoaded[filename]
+      throw err
+    })
+  }
+
+  return isLoaded[filename]
+}
+
+// Every token must match a term in a document. The last token
+// also matches terms by prefix to support search as you type.
+function rank (docs, tokens, chunks) {
+  let scores = null
+
+  tokens.forEach((token, i) => {
+    const terms = chunks[i]
+    const isLast = i === tokens.length - 1
+    const current = {}
+
+    for (const term in terms) {
+      const isExact = term === token
+
+      if (!isExact && !(isLast && term.startsWith(token))) continue
+
+      const postings = terms[term]
+      const idf = Math.log(1 + docs.length / postings.length)
+      const boost = isExact ? 1 : 0.5
+
+      for (const [docIndex, weight] of postings) {
+        current[docIndex] = (current[docIndex] || 0) + weight * idf * boost
+      }
+    }
+
+    if (scores) {
+      for (const docIndex in scores) {
+        if (current[docIndex]) scores[docIndex] += current[docIndex]
+        else delete scores[docIndex]
+      }
+    } else {
+      scores = current
+    }
+  })
+
+  return Object.keys(scores)
+    .map(docIndex => {
+      const [path, typeName, id] = docs[docIndex]
+      return { path, typeName, id, score: scores[docIndex] }
+    })
+    .sort((a, b) => b.score - a.score)
+}
+
+function tokenize (value) {
+  return String(value || '')
+    .toLowerCase()
+    .split(TOKEN_SEPARATOR)
+    .filter((token, i, tokens) => token && tokens.indexOf(token) === i)
+}
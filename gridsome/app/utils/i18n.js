@@ -0,0 +1,49 @@
+import config from '~/.temp/config.js'
+import { LOCALES, DEFAULT_LOCALE, localizePath as _localizePath } from '~/.temp/constants'
+import { url } from './helpers'
+
+const siteUrl = config.siteUrl.replace(/\/+$/, '')
+const localeSettings = { locales: LOCALES, defaultLocale: DEFAULT_LOCALE }
+
+export function currentLocale (route) {
+  return (route && route.meta.locale) || DEFAULT_LOCALE
+}
+
+// the implementation is shared with the server
+export function localizePath (path, locale) {
+  return _localizePath(path, locale, localeSettings)
+}
+
+export function unlocalizePath (path) {
+  const segments = path.split('/').filter(Boolean)
+
+  if (LOCALES.includes(segments[0]) && segments[0] !== DEFAULT_LOCALE) {
+    segments.shift()
+  }
+
+  return `/${segments.join('/')}`
+}
+
+// Creates hreflang links for the current route in
+// every locale which resolves to an existing route.
+export function createAlternateLinks (route, router) {
+  const path = unlocalizePath(route.path)
+  const links = []
+
+  for (const locale of LOCALES) {
+    const localePath = localizePath(path, locale)
+    const { route: resolved } = router.resolve(localePath)
+
+    if (resolved.name === '*') continue
+
+    const href = siteUrl + url(localePath)
+
+    links.push({ key: `alternate-${locale}`, rel: 'alternate', hreflang: locale, href })
+
+    if (locale === DEFAULT_LOCALE) {
+      links.push({ key: 'alternate-x-default', rel: 'alternate', hreflang: 'x-default', href })
+    }
+  }
+
+  return links
+}
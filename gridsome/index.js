@@ -11,8 +11,17 @@ module.exports = ({ context, program }) => {
   program
     .command('build')
     .description('build site for production')
-    .action(() => {
-      wrapCommand(require('./lib/build'))(context, {})
+    .option('-w, --watch', 'rebuild when files change')
+    .option('-r, --report [path]', 'write a JSON report (default: .cache/build-report.json)')
+    .option('--drafts', 'include drafts and scheduled content')
+    .option('--strict', 'fail on invalid queries and deprecated fields')
+    .action(args => {
+      wrapCommand(require('./lib/build'))(context, {
+        watch: args.watch === true,
+        report: args.report || false,
+        drafts: args.drafts === true,
+        strict: args.strict === true
+      })
     })
 
   program
@@ -24,11 +33,20 @@ module.exports = ({ context, program }) => {
       wrapCommand(require('./lib/explore'))(context, args)
     })
 
+  program
+    .command('codegen:types')
+    .description('generate TypeScript definitions for GraphQL queries')
+    .option('-o, --out-dir <dir>', 'output directory (default: src/__generated__)')
+    .action(args => {
+      wrapCommand(require('./lib/codegen'))(context, args)
+    })
+
   program
     .command('serve')
     .description('start a production node.js server')
     .option('-p, --port <port>', 'use specified port (default: 8080)')
     .option('-h, --host <host>', 'use specified host (default: 0.0.0.0)')
+    .option('--drafts', 'include drafts and scheduled content')
     .action(args => {
       wrapCommand(require('./lib/serve'))(context, args)
     })
@@ -84,6 +84,11 @@ class App {
     const Codegen = require('./codegen')
     const ComponentParser = require('./ComponentParser')
     const Pages = require('../pages/pages')
+    const Redirects = require('./Redirects')
+    const BuildManifest = require('./BuildManifest')
+    const SearchIndex = require('./SearchIndex')
+    const StaticQueries = require('./StaticQueries')
+    const Fragments = require('./Fragments')
 
     this.events = new Events()
     this.store = new Store(this)
@@ -91,6 +96,11 @@ class App {
     this.codegen = new Codegen(this)
     this.parser = new ComponentParser(this)
     this.pages = new Pages(this)
+    this.redirects = new Redirects(this)
+    this.buildManifest = new BuildManifest(this)
+    this.searchIndex = new SearchIndex(this)
+    this.staticQueries = new StaticQueries(this)
+    this.fragments = new Fragments(this)
 
     // TODO: remove before 1.0
     this.queue = this.assets
@@ -145,7 +155,9 @@ class App {
   }
 
   async loadSources () {
+    await this.store.loadCache()
     await this.events.dispatch('loadSource', api => api.store)
+    await this.store.saveCache()
   }
 
   async createSchema () {
@@ -153,6 +165,7 @@ class App {
     const { mergeSchemas } = require('graphql-tools')
     const createSchema = require('../graphql/createSchema')
     const { createSchemaAPI } = require('../graphql/utils')
+    const validateQueries = require('../graphql/validateQueries')
 
     const schemas = []
 
@@ -170,6 +183,16 @@ class App {
     this._execute = graphql.execute
     this._graphql = graphql.graphql
     this.schema = mergeSchemas({ schemas: [schema, ...schemas] })
+
+    await this.fragments.load()
+
+    const errors = this.fragments.validate(this.schema)
+
+    if (errors.length) {
+      throw new Error(errors[0])
+    }
+
+    await validateQueries(this)
   }
 
   async createPages () {
@@ -179,6 +202,11 @@ class App {
 
     this.pages._cached.clear()
     this.pages._collection.adaptiveBinaryIndices = false
+    this.redirects.clear()
+
+    if (!this.staticQueries.isLoaded) {
+      await this.staticQueries.load()
+    }
 
     await this.events.dispatch('createPages', api => {
       return createPagesAPI(api, { digest })
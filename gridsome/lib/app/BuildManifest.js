@@ -0,0 +1,288 @@
+const path = require('path')
+const fs = require('fs-extra')
+const hashSum = require('hash-sum')
+const autoBind = require('auto-bind')
+const md5File = require('md5-file/promise')
+const { omit, uniq, flatMap } = require('lodash')
+const { printSchema } = require('graphql')
+const { hashString } = require('../utils')
+const { genChunkName } = require('./codegen/routes')
+const { getRedirectStubs } = require('../plugins/core/redirects')
+const { version } = require('../../package.json')
+
+class BuildManifest {
+  constructor (app) {
+    const { context, config, store } = app
+
+    this._app = app
+    this.context = context
+    this.config = config
+    this.store = store
+    this.isEnabled = config.incrementalBuild === true
+    this.isWatching = config.watch === true
+
+    this._previous = null
+    this._digest = null
+    this._storeDigest = null
+    this._assets = []
+    this._chunks = {}
+    this._entryFiles = []
+    this._componentHashes = {}
+
+    autoBind(this)
+  }
+
+  get filePath () {
+    return path.join(this.config.cacheDir, 'build-manifest.json')
+  }
+
+  // Loads the manifest from the previous build. Returns false when
+  // the output directory must be built from scratch.
+  async load () {
+    if (!this.isEnabled && !this.isWatching) return false
+
+    this._digest = hashSum([version, this.config, await this._createSchemaDigest()])
+    this._storeDigest = createStoreDigest(this.store)
+
+    if (!this.isEnabled) return false
+    if (!await fs.exists(this.filePath)) return false
+
+    let previous = null
+
+    try {
+      previous = await fs.readJson(this.filePath)
+    } catch (err) {
+      return false
+    }
+
+    if (previous.digest !== this._digest) return false
+
+    this._previous = previous
+
+    return true
+  }
+
+  async save (renderQueue) {
+    if (!this.isEnabled && !this.isWatching) return
+
+    const pages = {}
+
+    for (const entry of renderQueue) {
+      pages[entry.path] = await this._createPageRecord(entry)
+    }
+
+    const manifest = {
+      digest: this._digest,
+      storeDigest: this._storeDigest,
+      assets: this._assets,
+      redirects: this._getRedirectOutputs(renderQueue),
+      pages
+    }
+
+    // the next build in watch mode compares with this one
+    if (this.isWatching) {
+      this._previous = manifest
+    }
+
+    if (this.isEnabled) {
+      await fs.outputJson(this.filePath, manifest)
+    }
+  }
+
+  // Must be called before each rebuild in watch mode.
+  refresh () {
+    this._storeDigest = createStoreDigest(this.store)
+    this._componentHashes = {}
+  }
+
+  // Returns the data from the previous build if the
+  // query and the store are unchanged.
+  async readQueryData (entry) {
+    const prev = this._getPreviousPage(entry)
+
+    if (
+      !prev ||
+      !prev.dataOutput ||
+      prev.queryHash !== this._createQueryHash(entry) ||
+      this._previous.storeDigest !== this._storeDigest
+    ) {
+      return null
+    }
+
+    try {
+      return await fs.readJson(prev.dataOutput)
+    } catch (err) {
+      return null
+    }
+  }
+
+  hasChangedData (entry) {
+    const prev = this._getPreviousPage(entry)
+
+    return (
+      !prev ||
+      prev.dataHash !== entry.dataInfo.hash ||
+      prev.dataOutput !== entry.dataOutput ||
+      !fs.existsSync(entry.dataOutput)
+    )
+  }
+
+  setWebpackStats (stats) {
+    const { children: [clientStats] } = stats
+
+    // the bundle manifests are emitted outside outDir
+    this._assets = clientStats.assets
+      .map(asset => asset.name)
+      .filter(name => !name.startsWith('..'))
+    this._chunks = clientStats.chunks.reduce((acc, chunk) => {
+      chunk.names.forEach(name => (acc[name] = chunk.files))
+      return acc
+    }, {})
+
+    this._entryFiles = uniq(Object.keys(clientStats.entrypoints).reduce((acc, name) => {
+      return acc.concat(clientStats.entrypoints[name].assets)
+    }, []))
+  }
+
+  async filterChangedPages (renderQueue) {
+    if (!this._previous) return renderQueue
+
+    const results = []
+
+    for (const entry of renderQueue) {
+      const prev = this._getPreviousPage(entry)
+      const record = await this._createPageRecord(entry)
+
+      if (
+        !prev ||
+        prev.dataHash !== record.dataHash ||
+        prev.componentHash !== record.componentHash ||
+        prev.chunkHash !== record.chunkHash ||
+        !fs.existsSync(entry.htmlOutput)
+      ) {
+        results.push(entry)
+      }
+    }
+
+    return results
+  }
+
+  // Removes outputs for pages, assets and redirects which
+  // doesn't exist in the current build anymore.
+  async removeStaleFiles (renderQueue) {
+    if (!this._previous) return 0
+
+    const htmlOutputs = new Set(renderQueue.map(entry => entry.htmlOutput))
+    const outputs = new Set(renderQueue.map(entry => entry.dataOutput))
+    const splitOutputs = new Set(flatMap(renderQueue, entry => entry.splitOutputs || []))
+    const assets = new Set(this._assets)
+    const redirects = new Set(this._getRedirectOutputs(renderQueue))
+    const files = []
+
+    for (const pagePath in this._previous.pages) {
+      const { htmlOutput, dataOutput } = this._previous.pages[pagePath]
+      const prevSplitOutputs = this._previous.pages[pagePath].splitOutputs || []
+
+      if (htmlOutput && !htmlOutputs.has(htmlOutput)) files.push(htmlOutput)
+      if (dataOutput && !outputs.has(dataOutput)) files.push(dataOutput)
+
+      for (const output of prevSplitOutputs) {
+        if (!splitOutputs.has(output)) files.push(output)
+      }
+    }
+
+    for (const name of this._previous.assets) {
+      if (!assets.has(name)) files.push(path.join(this.config.outDir, name))
+    }
+
+    for (const filePath of this._previous.redirects || []) {
+      if (!redirects.has(filePath) && !htmlOutputs.has(filePath)) files.push(filePath)
+    }
+
+    const uniqueFiles = uniq(files)
+
+    for (const filePath of uniqueFiles) {
+      await fs.remove(filePath)
+    }
+
+    return uniqueFiles.length
+  }
+
+  // The schema and resolvers in gridsome.server.js
+  // must invalidate cached query results.
+  async _createSchemaDigest () {
+    const { schema } = this._app
+    const serverFile = path.join(this.context, 'gridsome.server.js')
+
+    return hashSum([
+      schema ? hashString(printSchema(schema)) : null,
+      await fs.exists(serverFile) ? await md5File(serverFile) : null
+    ])
+  }
+
+  _getPreviousPage (entry) {
+    return this._previous ? this._previous.pages[entry.path] : undefined
+  }
+
+  async _createPageRecord (entry) {
+    const chunkName = entry.chunkName || genChunkName(entry.component, this.context)
+    const chunkFiles = this._chunks[chunkName] || []
+
+    return {
+      queryHash: this._createQueryHash(entry),
+      dataHash: entry.dataInfo ? entry.dataInfo.hash : null,
+      componentHash: await this._hashComponent(entry.component),
+      chunkHash: hashSum([this._entryFiles, chunkFiles]),
+      htmlOutput: entry.htmlOutput,
+      dataOutput: entry.dataOutput || null,
+      splitOutputs: entry.splitOutputs || []
+    }
+  }
+
+  // redirect stubs written by the core plugin
+  _getRedirectOutputs (renderQueue) {
+    const paths = new Set(renderQueue.map(entry => entry.path))
+    const stubs = getRedirectStubs(this._app.redirects.data(), paths, this.config.outDir)
+
+    return stubs.map(stub => stub.filePath)
+  }
+
+  // static queries are hashed by their sources
+  _createQueryHash ({ component, query, context }) {
+    const staticQueries = this._app.staticQueries
+      .findQueries(component)
+      .map(query => query.id)
+
+    return hashSum({ query, context, staticQueries })
+  }
+
+  async _hashComponent (component) {
+    if (!this._componentHashes[component]) {
+      this._componentHashes[component] = await fs.exists(component)
+        ? await md5File(component)
+        : null
+    }
+
+    return this._componentHashes[component]
+  }
+}
+
+
+function createStoreDigest (store) {
+  const collections = [store.metaData]
+
+  for (const typeName in store.collections) {
+    collections.push(store.collections[typeName].collection)
+  }
+
+  const data = collections.map(collection => {
+    return collection.find().map(node => ({
+      ...omit(node, ['$loki', 'meta']),
+      internal: omit(node.internal, ['timestamp'])
+    }))
+  })
+
+  return hashString(JSON.stringify(data))
+}
+
+module.exports = BuildManifest
@@ -0,0 +1,143 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { sortBy, sumBy } = require('lodash')
+const { genChunkName } = require('./codegen/routes')
+const { version } = require('../../package.json')
+
+const IMAGE_TAG_RE = /<(?:img|source)\s[^>]*>/g
+const IMAGE_SRC_RE = /\s(?:data-)?src(?:set)?="([^"]+)"/g
+
+class BuildReport {
+  constructor ({ context, config }, filePath = null) {
+    this.context = context
+    this.config = config
+    this.filePath = typeof filePath === 'string'
+      ? path.resolve(context, filePath)
+      : path.join(config.cacheDir, 'build-report.json')
+
+    this._assets = {}
+    this._chunks = {}
+    this._entryFiles = []
+    this._renderTimes = {}
+  }
+
+  setWebpackStats (stats) {
+    const { children: [clientStats] } = stats
+
+    this._assets = clientStats.assets.reduce((acc, asset) => {
+      acc[asset.name] = asset.size
+      return acc
+    }, {})
+
+    this._chunks = clientStats.chunks.reduce((acc, chunk) => {
+      chunk.names.forEach(name => (acc[name] = chunk.files))
+      return acc
+    }, {})
+
+    this._entryFiles = Object.keys(clientStats.entrypoints).reduce((acc, name) => {
+      return acc.concat(clientStats.entrypoints[name].assets)
+    }, [])
+  }
+
+  setRenderTimes (renderTimes) {
+    Object.assign(this._renderTimes, renderTimes)
+  }
+
+  async create (renderQueue) {
+    const pages = []
+    const routes = {}
+
+    for (const entry of renderQueue) {
+      const chunkName = entry.chunkName || genChunkName(entry.component, this.context)
+      const route = entry.route || entry.path
+
+      if (!routes[route]) {
+        routes[route] = {
+          component: this._relative(entry.component),
+          chunkName,
+          ...this._createFiles(this._chunks[chunkName] || [])
+        }
+      }
+
+      pages.push({
+        path: entry.path,
+        route,
+        component: this._relative(entry.component),
+        queryTime: entry.queryTime !== undefined ? entry.queryTime : null,
+        dataSize: entry.data ? Buffer.byteLength(JSON.stringify(entry.data)) : 0,
+        ...await this._readHTML(entry),
+        renderTime: this._renderTimes[entry.path] !== undefined
+          ? this._renderTimes[entry.path]
+          : null,
+        errors: (entry.errors || []).map(err => ({
+          message: err.message,
+          locations: err.locations,
+          path: err.path
+        }))
+      })
+    }
+
+    return {
+      version,
+      entry: this._createFiles(this._entryFiles),
+      routes,
+      pages: sortBy(pages, 'path')
+    }
+  }
+
+  async write (renderQueue) {
+    const report = await this.create(renderQueue)
+
+    await fs.outputFile(this.filePath, JSON.stringify(report, null, 2))
+
+    return report
+  }
+
+  async _readHTML ({ htmlOutput }) {
+    if (!htmlOutput || !await fs.exists(htmlOutput)) {
+      return { htmlSize: null, images: [] }
+    }
+
+    const html = await fs.readFile(htmlOutput, 'utf8')
+    const images = new Set()
+
+    for (const tag of html.match(IMAGE_TAG_RE) || []) {
+      for (const [, value] of matchAll(tag, IMAGE_SRC_RE)) {
+        value.split(',').forEach(value => {
+          const src = value.trim().split(/\s+/)[0]
+          if (src && !src.startsWith('data:')) images.add(src)
+        })
+      }
+    }
+
+    return {
+      htmlSize: Buffer.byteLength(html),
+      images: Array.from(images).sort()
+    }
+  }
+
+  _createFiles (names) {
+    const files = names.map(name => ({ name, size: this._assets[name] || 0 }))
+
+    return { size: sumBy(files, 'size'), files }
+  }
+
+  _relative (filePath) {
+    return filePath ? path.relative(this.context, filePath) : null
+  }
+}
+
+function matchAll (string, re) {
+  const matches = []
+  let match
+
+  re.lastIndex = 0
+
+  while ((match = re.exec(string))) {
+    matches.push(match)
+  }
+
+  return matches
+}
+
+module.exports = BuildReport
@@ -0,0 +1,184 @@
+const path = require('path')
+const fs = require('fs-extra')
+const globby = require('globby')
+const autoBind = require('auto-bind')
+const EventEmitter = require('eventemitter3')
+const { FSWatcher } = require('chokidar')
+
+const {
+  Kind,
+  parse,
+  print,
+  visit,
+  Source,
+  validate,
+  printError,
+  specifiedRules,
+  NoUnusedFragmentsRule
+} = require('graphql')
+
+// Fragments in `src/fragments/**/*.graphql` can be used in any
+// page or static query. The fragments used by a query are
+// appended to the query before it is parsed or executed.
+class Fragments {
+  constructor (app) {
+    this._app = app
+    this._fragments = new Map()
+    this._events = new EventEmitter()
+
+    this.isLoaded = false
+
+    autoBind(this)
+  }
+
+  on (eventName, fn, ctx) {
+    return this._events.on(eventName, fn, ctx)
+  }
+
+  off (eventName, fn, ctx) {
+    return this._events.removeListener(eventName, fn, ctx)
+  }
+
+  async load () {
+    const { fragmentsDir } = this._app.config
+    const files = await fs.exists(fragmentsDir)
+      ? await globby('**/*.graphql', { cwd: fragmentsDir, absolute: true })
+      : []
+
+    this._fragments.clear()
+
+    for (const file of files) {
+      this.addFile(path.normalize(file), await fs.readFile(file, 'utf8'))
+    }
+
+    this.isLoaded = true
+  }
+
+  // only long-running commands should watch the files
+  watch () {
+    if (!this._watcher) {
+      this._watch(this._app.config.fragmentsDir)
+    }
+  }
+
+  data () {
+    return Array.from(this._fragments.values())
+  }
+
+  addFile (filePath, content) {
+    const relPath = path.relative(this._app.context, filePath)
+    let document
+
+    this.removeFile(filePath)
+
+    try {
+      document = parse(new Source(content, relPath))
+    } catch (err) {
+      throw new Error(printError(err))
+    }
+
+    for (const definition of document.definitions) {
+      if (definition.kind !== Kind.FRAGMENT_DEFINITION) {
+        throw new Error(`Only fragments are allowed in ${relPath}.`)
+      }
+
+      const name = definition.name.value
+      const existing = this._fragments.get(name)
+
+      if (existing) {
+        throw new Error(
+          `Fragment "${name}" in ${relPath} is already ` +
+          `defined in ${path.relative(this._app.context, existing.filePath)}.`
+        )
+      }
+
+      this._fragments.set(name, { name, filePath, definition })
+    }
+  }
+
+  removeFile (filePath) {
+    for (const [name, fragment] of this._fragments) {
+      if (fragment.filePath === filePath) {
+        this._fragments.delete(name)
+      }
+    }
+  }
+
+  // returns error messages with the fragment file locations
+  validate (schema) {
+    if (!this._fragments.size) return []
+
+    const rules = specifiedRules.filter(rule => rule !== NoUnusedFragmentsRule)
+    const document = {
+      kind: Kind.DOCUMENT,
+      definitions: this.data().map(fragment => fragment.definition)
+    }
+
+    return validate(schema, document, rules).map(err => printError(err))
+  }
+
+  // appends the fragments used by the query and
+  // any fragments used by those fragments
+  attach (source) {
+    if (!source || !this._fragments.size) return source
+
+    let document
+
+    try {
+      document = parse(source)
+    } catch (err) {
+      return source
+    }
+
+    const defined = new Set()
+    const definitions = []
+
+    for (const definition of document.definitions) {
+      if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+        defined.add(definition.name.value)
+      }
+    }
+
+    const findSpreads = node => visit(node, {
+      FragmentSpread: spread => {
+        const name = spread.name.value
+        const fragment = this._fragments.get(name)
+
+        if (!defined.has(name) && fragment) {
+          defined.add(name)
+          definitions.push(fragment.definition)
+          findSpreads(fragment.definition)
+        }
+      }
+    })
+
+    findSpreads(document)
+
+    if (!definitions.length) return source
+
+    // keep leading lines to preserve error locations
+    return [source.replace(/\s+$/, ''), ...definitions.map(print)].join('\n\n')
+  }
+
+  _watch (fragmentsDir) {
+    this._watcher = new FSWatcher({ ignoreInitial: true })
+    this._watcher.add(path.join(fragmentsDir, '**/*.graphql'))
+
+    const onChange = async (filePath, isRemoved = false) => {
+      try {
+        if (isRemoved) this.removeFile(filePath)
+        else this.addFile(filePath, await fs.readFile(filePath, 'utf8'))
+      } catch (err) {
+        return this._events.emit('error', err)
+      }
+
+      this._events.emit('change', filePath)
+    }
+
+    this._watcher.on('add', filePath => onChange(path.normalize(filePath)))
+    this._watcher.on('change', filePath => onChange(path.normalize(filePath)))
+    this._watcher.on('unlink', filePath => onChange(path.normalize(filePath), true))
+  }
+}
+
+module.exports = Fragments
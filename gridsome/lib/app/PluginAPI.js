@@ -9,7 +9,10 @@ class PluginAPI {
     this.config = app.config
     this.context = app.context
 
-    this.store = new PluginStore(app, entry.options, { transformers })
+    this.store = new PluginStore(app, entry.options, {
+      uid: entry.uid,
+      transformers
+    })
 
     autoBind(this)
   }
@@ -0,0 +1,96 @@
+const Joi = require('joi')
+const isUrl = require('is-url')
+const autoBind = require('auto-bind')
+const pathToRegexp = require('path-to-regexp')
+
+const schema = Joi.object()
+  .label('Redirect options')
+  .keys({
+    from: Joi.string().regex(/^\//, 'leading slash').required(),
+    to: Joi.string().required(),
+    status: Joi.number().valid(301, 302, 307, 308).default(301)
+  })
+
+class Redirects {
+  constructor (app) {
+    this._app = app
+    this._redirects = []
+    this._created = []
+
+    autoBind(this)
+
+    for (const options of app.config.redirects || []) {
+      this._redirects.push(createRedirect(options))
+    }
+  }
+
+  data () {
+    return this._redirects.concat(this._created)
+  }
+
+  // redirects from the createPages() hook
+  // are created again for each cycle
+  clear () {
+    this._created = []
+  }
+
+  createRedirect (input) {
+    const redirect = createRedirect(input)
+
+    this._created.push(redirect)
+
+    return redirect
+  }
+
+  match (path) {
+    for (const redirect of this.data()) {
+      const matches = redirect.regex.exec(path)
+
+      if (matches) {
+        const params = redirect.keys.reduce((acc, key, index) => {
+          acc[key.name] = matches[index + 1] || ''
+          return acc
+        }, {})
+
+        return {
+          status: redirect.status,
+          to: redirect.toPath(params)
+        }
+      }
+    }
+
+    return null
+  }
+}
+
+function createRedirect (input) {
+  const { error, value: options } = Joi.validate(input, schema)
+
+  if (error) {
+    throw new Error(error.message)
+  }
+
+  const keys = []
+  const { from, to, status } = options
+
+  // a trailing wildcard is available as :splat
+  const source = from.replace(/\/\*$/, '/:splat(.*)')
+  const regex = pathToRegexp(source, keys)
+
+  return {
+    from,
+    to,
+    status,
+    regex,
+    keys,
+    isStatic: keys.length === 0,
+    isExternal: isUrl(to),
+    toPath (params) {
+      return to.replace(/:(\w+)/g, (match, name) => {
+        return params.hasOwnProperty(name) ? params[name] : match
+      })
+    }
+  }
+}
+
+module.exports = Redirects
@@ -0,0 +1,125 @@
+const path = require('path')
+const fs = require('fs-extra')
+const autoBind = require('auto-bind')
+const { get, isEmpty } = require('lodash')
+const { hashString } = require('../utils')
+const { TOKEN_SEPARATOR } = require('../utils/constants')
+
+class SearchIndex {
+  constructor ({ config, store }) {
+    this.config = config
+    this.store = store
+
+    this._cached = null
+    this._cachedTime = null
+
+    autoBind(this)
+  }
+
+  get outputDir () {
+    return path.join(this.config.assetsDir, 'search')
+  }
+
+  // Creates an inverted index for all nodes with a path in
+  // content types with `searchFields`. The terms are split
+  // into chunks by their first character.
+  create (paths = null) {
+    const docs = []
+    const terms = {}
+
+    for (const typeName in this.store.collections) {
+      const contentType = this.store.getContentType(typeName)
+      const { searchFields } = contentType.options
+
+      if (isEmpty(searchFields)) continue
+
+      for (const node of contentType.data()) {
+        if (typeof node.path !== 'string') continue
+        if (paths && !paths.has(node.path)) continue
+
+        const docIndex = docs.push([node.path, typeName, node.id]) - 1
+        const weights = {}
+
+        for (const fieldName in searchFields) {
+          for (const token of tokenize(get(node, fieldName))) {
+            weights[token] = (weights[token] || 0) + searchFields[fieldName]
+          }
+        }
+
+        for (const token in weights) {
+          (terms[token] = terms[token] || []).push([docIndex, weights[token]])
+        }
+      }
+    }
+
+    const chunks = {}
+
+    for (const term in terms) {
+      const key = term.charAt(0)
+      chunks[key] = chunks[key] || {}
+      chunks[key][term] = terms[term]
+    }
+
+    const manifest = { docs, chunks: {} }
+    const files = {}
+
+    for (const key in chunks) {
+      const content = JSON.stringify(chunks[key])
+      const filename = `${hashString(key + content).substr(0, 8)}.json`
+
+      manifest.chunks[key] = filename
+      files[filename] = content
+    }
+
+    return { manifest, files }
+  }
+
+  // Used by the develop server to answer from the live store.
+  getLiveIndex () {
+    if (this._cachedTime !== this.store.lastUpdate) {
+      this._cached = this.create()
+      this._cachedTime = this.store.lastUpdate
+    }
+
+    return this._cached
+  }
+
+  async write (renderQueue) {
+    const paths = new Set(renderQueue.map(entry => entry.path))
+    const { manifest, files } = this.create(paths)
+
+    await fs.remove(this.outputDir)
+
+    if (!manifest.docs.length) return 0
+
+    for (const filename in files) {
+      await fs.outputFile(path.join(this.outputDir, filename), files[filename])
+    }
+
+    await fs.outputFile(
+      path.join(this.outputDir, 'index.json'),
+      JSON.stringify(manifest)
+    )
+
+    return manifest.docs.length
+  }
+}
+
+function tokenize (value) {
+  if (Array.isArray(value)) {
+    return value.reduce((acc, value) => acc.concat(tokenize(value)), [])
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return []
+  }
+
+  return String(value)
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase()
+    .split(TOKEN_SEPARATOR)
+    .filter(Boolean)
+}
+
+module.exports = SearchIndex
+module.exports.tokenize = tokenize
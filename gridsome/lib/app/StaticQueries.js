@@ -0,0 +1,283 @@
+const path = require('path')
+const fs = require('fs-extra')
+const globby = require('globby')
+const hashSum = require('hash-sum')
+const autoBind = require('auto-bind')
+const EventEmitter = require('eventemitter3')
+const { parse, Kind } = require('graphql')
+const createPageQuery = require('../pages/createPageQuery')
+
+const IMPORT_RE = /(?:\bimport\s+(?:[\w*{}\s,]+\s+from\s+)?|\bimport\s*\(\s*(?:\/\*[\s\S]*?\*\/\s*)?|\brequire\s*\(\s*)['"]([^'"]+)['"]/g
+const EXTENSIONS = ['', '.vue', '.js', '/index.vue', '/index.js']
+
+// Static queries with variables are not inlined in the component
+// bundle. They are executed for each page and the results are
+// included in the page data instead. Queries without variables
+// are executed once and stored as JSON chunks when the
+// `staticQueryData` config is set to `json`.
+class StaticQueries {
+  constructor (app) {
+    this._app = app
+    this._queries = new Map()
+    this._imports = new Map()
+    this._chunks = new Map()
+    this._chunksVersion = null
+    this._events = new EventEmitter()
+
+    this.isLoaded = false
+
+    autoBind(this)
+  }
+
+  static createId (source) {
+    return hashSum(source.trim())
+  }
+
+  on (eventName, fn, ctx) {
+    return this._events.on(eventName, fn, ctx)
+  }
+
+  off (eventName, fn, ctx) {
+    return this._events.removeListener(eventName, fn, ctx)
+  }
+
+  // find queries before the static-query loader has seen them
+  async load () {
+    const srcDir = path.join(this._app.context, 'src')
+    const files = await fs.exists(srcDir)
+      ? await globby('**/*.vue', { cwd: srcDir, absolute: true })
+      : []
+
+    for (const file of files) {
+      const { staticQuery } = this._app.parser.parse(file)
+      if (staticQuery) this.add(path.normalize(file), staticQuery)
+    }
+
+    this.isLoaded = true
+  }
+
+  data () {
+    return Array.from(this._queries.values())
+  }
+
+  get (component) {
+    return this._queries.get(component) || null
+  }
+
+  // returns true if the query was added, changed or removed
+  add (component, query) {
+    const source = this._app.fragments.attach(query)
+    const existing = this._queries.get(component)
+    const variables = hasVariables(source)
+
+    if (!variables && this._app.config.staticQueryData !== 'json') {
+      return this._queries.delete(component)
+    }
+
+    const id = StaticQueries.createId(source)
+
+    if (existing && existing.id === id) {
+      return false
+    }
+
+    this._queries.set(component, { id, component, source, hasVariables: variables })
+
+    return true
+  }
+
+  // Returns the queries with (or without) variables in the page
+  // component, the components it imports and the components imported
+  // by main.js which are often registered globally. All queries are
+  // returned when the page component is unknown.
+  findQueries (pageComponent, hasVariables = true) {
+    const queries = this.data().filter(query => query.hasVariables === hasVariables)
+
+    if (!queries.length || !pageComponent) return queries
+
+    const mainPath = path.join(this._app.context, 'src', 'main.js')
+    const components = new Set()
+
+    const walk = filePath => {
+      if (components.has(filePath)) return
+      components.add(filePath)
+      this._findImports(filePath).forEach(walk)
+    }
+
+    walk(path.normalize(pageComponent))
+    walk(mainPath)
+
+    return queries.filter(query => components.has(query.component))
+  }
+
+  async execute (page, currentPage = undefined) {
+    const context = page.queryVariables || page.context || {}
+    const data = {}
+
+    for (const { id, component, source } of this.findQueries(page.component)) {
+      if (data[id]) continue
+
+      const { document, variables } = createPageQuery(source, context)
+
+      // skip queries for pages without the required variables
+      if (isMissingVariables(document, variables)) continue
+
+      const results = await this._app.graphql(document, {
+        ...variables,
+        page: currentPage
+      })
+
+      if (results.errors) {
+        return { data: null, errors: results.errors, component }
+      }
+
+      data[id] = results.data
+    }
+
+    return { data: Object.keys(data).length ? data : null }
+  }
+
+  async executeChunks () {
+    const version = this._app.store.lastUpdate
+    const chunks = new Map()
+
+    for (const { id, component, source, hasVariables } of this._queries.values()) {
+      if (hasVariables || chunks.has(id)) continue
+
+      const results = await this._app.graphql(source)
+
+      if (results.errors) {
+        const relPath = path.relative(this._app.context, component)
+        const message = results.errors[0].message
+
+        throw new Error(`Failed to execute static-query for ${relPath}: ${message}`)
+      }
+
+      chunks.set(id, { id, data: results.data, hash: hashSum(results.data) })
+    }
+
+    const previous = this._chunks
+
+    this._chunks = chunks
+    this._chunksVersion = version
+
+    for (const chunk of chunks.values()) {
+      const existing = previous.get(chunk.id)
+
+      if (!existing || existing.hash !== chunk.hash) {
+        this._events.emit('change', chunk)
+      }
+    }
+
+    return this.chunks()
+  }
+
+  chunks () {
+    return Array.from(this._chunks.values())
+  }
+
+  async getChunk (id) {
+    if (this._chunksVersion !== this._app.store.lastUpdate || !this._chunks.has(id)) {
+      await this.executeChunks()
+    }
+
+    return this._chunks.get(id) || null
+  }
+
+  async getChunkData () {
+    if (this._chunksVersion !== this._app.store.lastUpdate) {
+      await this.executeChunks()
+    }
+
+    return this.chunks().reduce((acc, { id, data }) => {
+      acc[id] = data
+      return acc
+    }, {})
+  }
+
+  // resolves relative and aliased imports to files in the project
+  _findImports (filePath) {
+    let stats
+
+    try {
+      stats = fs.statSync(filePath)
+    } catch (err) {
+      return []
+    }
+
+    const cached = this._imports.get(filePath)
+
+    if (cached && cached.mtime === stats.mtimeMs) {
+      return cached.imports
+    }
+
+    const srcDir = path.join(this._app.context, 'src')
+    const content = fs.readFileSync(filePath, 'utf8')
+    const imports = []
+    let match
+
+    IMPORT_RE.lastIndex = 0
+
+    while ((match = IMPORT_RE.exec(content))) {
+      const request = match[1]
+      const basePath = /^[~@]\//.test(request)
+        ? path.join(srcDir, request.substr(2))
+        : request.startsWith('.')
+          ? path.resolve(path.dirname(filePath), request)
+          : null
+
+      const resolved = basePath && EXTENSIONS
+        .map(ext => basePath + ext)
+        .find(resolved => isFile(resolved))
+
+      if (resolved) imports.push(path.normalize(resolved))
+    }
+
+    this._imports.set(filePath, { mtime: stats.mtimeMs, imports })
+
+    return imports
+  }
+}
+
+function isFile (filePath) {
+  try {
+    return fs.statSync(filePath).isFile()
+  } catch (err) {
+    return false
+  }
+}
+
+function hasVariables (source) {
+  let document
+
+  try {
+    document = parse(source)
+  } catch (err) {
+    return false
+  }
+
+  return document.definitions.some(definition => {
+    return (
+      definition.kind === Kind.OPERATION_DEFINITION &&
+      definition.variableDefinitions.length > 0
+    )
+  })
+}
+
+function isMissingVariables (document, variables) {
+  return document.definitions.some(definition => {
+    if (definition.kind !== Kind.OPERATION_DEFINITION) return false
+
+    return definition.variableDefinitions.some(({ variable, type, defaultValue }) => {
+      const name = variable.name.value
+
+      return (
+        name !== 'page' &&
+        type.kind === Kind.NON_NULL_TYPE &&
+        !defaultValue &&
+        variables[name] == null
+      )
+    })
+  })
+}
+
+module.exports = StaticQueries
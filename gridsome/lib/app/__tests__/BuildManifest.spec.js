@@ -0,0 +1,259 @@
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const App = require('../App')
+const PluginAPI = require('../PluginAPI')
+
+const component = path.join(__dirname, '../../pages/__tests__/__fixtures__/DefaultPage.vue')
+
+let context, app, api
+
+beforeEach(async () => {
+  context = await fs.mkdtemp(path.join(os.tmpdir(), 'gridsome-manifest-'))
+  app = createApp()
+  api = new PluginAPI(app, { entry: { options: {}, clientOptions: undefined }})
+})
+
+afterEach(async () => {
+  await fs.remove(context)
+})
+
+test('build from scratch when manifest is missing', async () => {
+  expect(await app.buildManifest.load()).toEqual(false)
+})
+
+test('build from scratch when disabled', async () => {
+  const app = createApp({ incrementalBuild: false })
+
+  await app.buildManifest.load()
+  await app.buildManifest.save([createEntry('/')])
+
+  expect(fs.existsSync(app.buildManifest.filePath)).toEqual(false)
+})
+
+test('re-render only changed pages', async () => {
+  const queue = [createEntry('/a', 'a'), createEntry('/b', 'b')]
+
+  await buildWith(app, queue)
+
+  const nextApp = createApp()
+  const nextQueue = [createEntry('/a', 'a'), createEntry('/b', 'c')]
+
+  expect(await nextApp.buildManifest.load()).toEqual(true)
+  expect(nextApp.buildManifest.hasChangedData(nextQueue[0])).toEqual(false)
+  expect(nextApp.buildManifest.hasChangedData(nextQueue[1])).toEqual(true)
+
+  nextApp.buildManifest.setWebpackStats(createStats())
+
+  const changed = await nextApp.buildManifest.filterChangedPages(nextQueue)
+
+  expect(changed).toHaveLength(1)
+  expect(changed[0].path).toEqual('/b')
+})
+
+test('re-render all pages when entry chunks changes', async () => {
+  const queue = [createEntry('/a', 'a'), createEntry('/b', 'b')]
+
+  await buildWith(app, queue)
+
+  const nextApp = createApp()
+
+  await nextApp.buildManifest.load()
+  nextApp.buildManifest.setWebpackStats(createStats('app.2.js'))
+
+  const changed = await nextApp.buildManifest.filterChangedPages(queue)
+
+  expect(changed).toHaveLength(2)
+})
+
+test('re-use query results when store is unchanged', async () => {
+  api.store.addContentType('Post').addNode({ id: '1', title: 'Post' })
+
+  const queue = [createEntry('/a', 'a')]
+
+  await buildWith(app, queue)
+
+  const nextApp = createApp()
+  const nextApi = new PluginAPI(nextApp, { entry: { options: {}, clientOptions: undefined }})
+
+  nextApi.store.addContentType('Post').addNode({ id: '1', title: 'Post' })
+
+  await nextApp.buildManifest.load()
+
+  expect(await nextApp.buildManifest.readQueryData(queue[0])).toMatchObject({ data: 'a' })
+})
+
+test('execute queries when store has changed', async () => {
+  api.store.addContentType('Post').addNode({ id: '1', title: 'Post' })
+
+  const queue = [createEntry('/a', 'a')]
+
+  await buildWith(app, queue)
+
+  const nextApp = createApp()
+  const nextApi = new PluginAPI(nextApp, { entry: { options: {}, clientOptions: undefined }})
+
+  nextApi.store.addContentType('Post').addNode({ id: '1', title: 'Changed' })
+
+  await nextApp.buildManifest.load()
+
+  expect(await nextApp.buildManifest.readQueryData(queue[0])).toBeNull()
+})
+
+test('execute queries when static queries have changed', async () => {
+  const queue = [createEntry('/a', 'a')]
+
+  await buildWith(app, queue)
+
+  const nextApp = createApp()
+
+  nextApp.staticQueries.add(component, 'query ($id: String) { post (id: $id) { id } }')
+
+  await nextApp.buildManifest.load()
+
+  expect(await nextApp.buildManifest.readQueryData(queue[0])).toBeNull()
+})
+
+test('build from scratch when gridsome.server.js has changed', async () => {
+  const serverFile = path.join(context, 'gridsome.server.js')
+
+  await fs.outputFile(serverFile, 'module.exports = () => {}')
+  await buildWith(app, [createEntry('/a', 'a')])
+  await fs.outputFile(serverFile, 'module.exports = api => {}')
+
+  expect(await createApp().buildManifest.load()).toEqual(false)
+})
+
+test('remove outputs for removed pages', async () => {
+  const queue = [createEntry('/a', 'a'), createEntry('/b', 'b')]
+
+  await buildWith(app, queue)
+
+  const nextApp = createApp()
+
+  await nextApp.buildManifest.load()
+  nextApp.buildManifest.setWebpackStats(createStats())
+
+  const totalFiles = await nextApp.buildManifest.removeStaleFiles([queue[0]])
+
+  expect(totalFiles).toEqual(2)
+  expect(fs.existsSync(queue[0].htmlOutput)).toEqual(true)
+  expect(fs.existsSync(queue[1].htmlOutput)).toEqual(false)
+  expect(fs.existsSync(queue[1].dataOutput)).toEqual(false)
+})
+
+test('remove split state files which are not used anymore', async () => {
+  const entry = createEntry('/a', 'a')
+  const splitOutput = path.join(context, 'dist', 'data', '1', 'posts.json')
+
+  entry.splitOutputs = [splitOutput]
+
+  await fs.outputFile(splitOutput, '[]')
+  await buildWith(app, [entry])
+
+  const nextApp = createApp()
+
+  await nextApp.buildManifest.load()
+  nextApp.buildManifest.setWebpackStats(createStats())
+
+  expect(await nextApp.buildManifest.removeStaleFiles([entry])).toEqual(0)
+  expect(await nextApp.buildManifest.removeStaleFiles([createEntry('/a', 'a')])).toEqual(1)
+  expect(fs.existsSync(splitOutput)).toEqual(false)
+})
+
+test('remove stubs for removed redirects', async () => {
+  const stubPath = path.join(context, 'dist', 'old', 'index.html')
+  const queue = [createEntry('/a', 'a'), createEntry('/b', 'b')]
+
+  app.redirects.createRedirect({ from: '/old', to: '/a' })
+  app.redirects.createRedirect({ from: '/b', to: '/a' })
+
+  await fs.outputFile(stubPath, '')
+  await buildWith(app, queue)
+
+  const nextApp = createApp()
+
+  await nextApp.buildManifest.load()
+  nextApp.buildManifest.setWebpackStats(createStats())
+
+  expect(await nextApp.buildManifest.removeStaleFiles(queue)).toEqual(1)
+  expect(fs.existsSync(stubPath)).toEqual(false)
+  expect(fs.existsSync(queue[1].htmlOutput)).toEqual(true)
+})
+
+test('keep previous build in memory when watching', async () => {
+  const app = createApp({ incrementalBuild: false, watch: true })
+  const api = new PluginAPI(app, { entry: { options: {}, clientOptions: undefined }})
+  const contentType = api.store.addContentType('Post')
+
+  contentType.addNode({ id: '1', title: 'Post' })
+
+  const queue = [createEntry('/a', 'a'), createEntry('/b', 'b')]
+
+  await buildWith(app, queue)
+
+  expect(fs.existsSync(app.buildManifest.filePath)).toEqual(false)
+
+  app.buildManifest.refresh()
+
+  expect(await app.buildManifest.readQueryData(queue[0])).toMatchObject({ data: 'a' })
+
+  contentType.updateNode({ id: '1', title: 'Changed' })
+  app.buildManifest.refresh()
+
+  const nextQueue = [createEntry('/a', 'a'), createEntry('/b', 'c')]
+  const changed = await app.buildManifest.filterChangedPages(nextQueue)
+
+  expect(await app.buildManifest.readQueryData(queue[0])).toBeNull()
+  expect(app.buildManifest.hasChangedData(nextQueue[0])).toEqual(false)
+  expect(app.buildManifest.hasChangedData(nextQueue[1])).toEqual(true)
+  expect(changed).toHaveLength(1)
+  expect(changed[0].path).toEqual('/b')
+})
+
+function createApp (config = {}) {
+  return new App(context, {
+    config: {
+      plugins: [],
+      incrementalBuild: true,
+      cacheDir: path.join(context, '.cache'),
+      outDir: path.join(context, 'dist'),
+      ...config
+    }
+  }).init()
+}
+
+function createEntry (pagePath, data = null) {
+  return {
+    path: pagePath,
+    component,
+    context: {},
+    query: null,
+    data: { data, context: {}},
+    dataInfo: { group: 1, hash: data },
+    dataOutput: path.join(context, 'dist', 'data', `${data}.json`),
+    htmlOutput: path.join(context, 'dist', pagePath, 'index.html')
+  }
+}
+
+function createStats (appFile = 'app.1.js') {
+  return {
+    children: [{
+      assets: [{ name: appFile }],
+      chunks: [{ names: ['app'], files: [appFile] }],
+      entrypoints: { app: { assets: [appFile] }}
+    }]
+  }
+}
+
+async function buildWith (app, queue) {
+  await app.buildManifest.load()
+  app.buildManifest.setWebpackStats(createStats())
+
+  for (const entry of queue) {
+    await fs.outputFile(entry.htmlOutput, '')
+    await fs.outputFile(entry.dataOutput, JSON.stringify(entry.data))
+  }
+
+  await app.buildManifest.save(queue)
+}
@@ -0,0 +1,90 @@
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const BuildReport = require('../BuildReport')
+const { genChunkName } = require('../codegen/routes')
+
+let context
+
+beforeEach(async () => {
+  context = await fs.mkdtemp(path.join(os.tmpdir(), 'gridsome-report-'))
+})
+
+afterEach(async () => {
+  await fs.remove(context)
+})
+
+test('create report for render queue', async () => {
+  const component = path.join(context, 'src/templates/Post.vue')
+  const chunkName = genChunkName(component, context)
+  const report = createReport()
+
+  report.setWebpackStats({
+    children: [{
+      assets: [
+        { name: 'app.js', size: 1000 },
+        { name: 'page--post.js', size: 200 }
+      ],
+      chunks: [
+        { names: ['app'], files: ['app.js'] },
+        { names: [chunkName], files: ['page--post.js'] }
+      ],
+      entrypoints: { app: { assets: ['app.js'] }}
+    }]
+  })
+
+  report.setRenderTimes({ '/b': 12 })
+
+  const queue = [
+    createEntry('/b', component, '<img src="data:image/png" data-src="/b.png" data-srcset="/b-1.png 480w, /b.png 1000w">'),
+    createEntry('/a', component, '<img src="/a.png">', [{ message: 'Failed', locations: [{ line: 1, column: 2 }] }])
+  ]
+
+  const { entry, routes, pages } = await report.write(queue)
+
+  expect(fs.existsSync(path.join(context, '.cache', 'build-report.json'))).toEqual(true)
+  expect(entry).toMatchObject({ size: 1000, files: [{ name: 'app.js', size: 1000 }] })
+  expect(routes['/post/:id']).toMatchObject({ component: 'src/templates/Post.vue', chunkName, size: 200 })
+  expect(pages.map(page => page.path)).toEqual(['/a', '/b'])
+  expect(pages[0].errors).toEqual([{ message: 'Failed', locations: [{ line: 1, column: 2 }] }])
+  expect(pages[0].renderTime).toBeNull()
+  expect(pages[0].images).toEqual(['/a.png'])
+  expect(pages[1]).toMatchObject({
+    route: '/post/:id',
+    component: 'src/templates/Post.vue',
+    queryTime: 5,
+    dataSize: 17,
+    renderTime: 12,
+    images: ['/b-1.png', '/b.png']
+  })
+  expect(pages[1].htmlSize).toBeGreaterThan(0)
+})
+
+test('write report to custom path', async () => {
+  const report = createReport('reports/build.json')
+
+  await report.write([])
+
+  expect(fs.existsSync(path.join(context, 'reports', 'build.json'))).toEqual(true)
+})
+
+function createReport (filePath) {
+  const config = { cacheDir: path.join(context, '.cache') }
+  return new BuildReport({ context, config }, filePath)
+}
+
+function createEntry (pagePath, component, html, errors) {
+  const htmlOutput = path.join(context, 'dist', pagePath, 'index.html')
+
+  fs.outputFileSync(htmlOutput, html)
+
+  return {
+    path: pagePath,
+    route: '/post/:id',
+    component,
+    data: { data: { id: 1 }},
+    queryTime: 5,
+    htmlOutput,
+    errors
+  }
+}
@@ -0,0 +1,93 @@
+const path = require('path')
+const App = require('../App')
+const { BOOTSTRAP_GRAPHQL } = require('../../utils/constants')
+
+const context = path.join(__dirname, '__fixtures__', 'project-fragments')
+const fragmentsDir = path.join(context, 'src', 'fragments')
+
+test('load fragments from the fragments directory', async () => {
+  const app = await createApp()
+
+  expect(app.fragments.data().map(fragment => fragment.name).sort()).toEqual([
+    'PostAuthor',
+    'PostFields'
+  ])
+})
+
+test('attach used fragments to queries', async () => {
+  const app = await createApp()
+  const source = `query { post (id: "1") { ...PostFields } }`
+  const query = app.fragments.attach(source)
+
+  expect(query).toMatch(source)
+  expect(query).toMatch('fragment PostFields on Post')
+  expect(query).toMatch('fragment PostAuthor on Post')
+  expect(app.fragments.attach(query)).toEqual(query)
+
+  const results = await app.graphql(query)
+
+  expect(results.errors).toBeUndefined()
+  expect(results.data.post).toEqual({ id: '1', title: 'Post 1', author: 'John' })
+})
+
+test('do not attach unused or local fragments', async () => {
+  const app = await createApp()
+  const source = `query { post (id: "1") { ...PostAuthor } }\nfragment PostAuthor on Post { id }`
+
+  expect(app.fragments.attach(`query { post (id: "1") { id } }`)).toEqual(`query { post (id: "1") { id } }`)
+  expect(app.fragments.attach(source)).toEqual(source)
+})
+
+test('attach fragments to page queries', async () => {
+  const app = await createApp()
+
+  const page = app.pages.createPage({
+    path: '/',
+    component: path.join(context, 'src', 'components', 'Post.vue')
+  })
+
+  expect(page.query.document.definitions).toHaveLength(3)
+})
+
+test('fail on invalid fragment files', async () => {
+  const app = await createApp()
+  const filePath = path.join(fragmentsDir, 'invalid.graphql')
+
+  expect(() => app.fragments.addFile(filePath, `fragment Invalid on Post {`))
+    .toThrow('src/fragments/invalid.graphql (1:27)')
+
+  expect(() => app.fragments.addFile(filePath, `query { post { id } }`))
+    .toThrow('Only fragments are allowed in')
+
+  expect(() => app.fragments.addFile(filePath, `fragment PostAuthor on Post { id }`))
+    .toThrow(/Fragment "PostAuthor" in .+invalid\.graphql is already defined in .+author\.graphql/)
+})
+
+test('validate fragments against the schema', async () => {
+  const app = await createApp()
+
+  app.fragments.addFile(path.join(fragmentsDir, 'invalid.graphql'), `fragment Invalid on Post { invalid }`)
+
+  const errors = app.fragments.validate(app.schema)
+
+  expect(errors).toHaveLength(1)
+  expect(errors[0]).toMatch('Cannot query field "invalid" on type "Post".')
+  expect(errors[0]).toMatch('src/fragments/invalid.graphql (1:28)')
+})
+
+async function createApp () {
+  const app = await new App(context, {
+    localConfig: {
+      plugins: [
+        function (api) {
+          api.loadSource(store => {
+            store.addContentType({ typeName: 'Post' })
+              .addNode({ id: '1', title: 'Post 1', author: 'John' })
+          })
+        }
+      ]
+    }
+  })
+
+  return app.bootstrap(BOOTSTRAP_GRAPHQL)
+}
@@ -329,6 +329,39 @@ test('skip srcset and dataUri', async () => {
   expect(result.imageHTML).toMatchSnapshot()
 })
 
+test('generate sources for modern formats', async () => {
+  const filePath = path.resolve(context, 'assets/1000x600.png')
+  const queue = new AssetsQueue({ context, config: baseconfig })
+
+  const result = await queue.add(filePath, { blur: 0, formats: 'webp,avif' })
+
+  expect(queue.images.queue).toHaveLength(4)
+  expect(result.sources).toHaveLength(1)
+  expect(result.sources[0].type).toEqual('image/webp')
+  expect(result.sources[0].srcset).toHaveLength(2)
+  expect(result.sources[0].sets[0].format).toEqual('webp')
+  expect(result.sources[0].srcset[0]).toMatch(/^\/assets\/static\/1000x600\.\w{7}\.test\.webp 480w$/)
+  expect(result.sources[0].srcset[1]).toMatch(/^\/assets\/static\/1000x600\.\w{7}\.test\.webp 1000w$/)
+  expect(result.src).toEqual('/assets/static/1000x600.97c148e.test.png')
+  expect(result.imageHTML).toMatch(/^<picture class="g-picture"><source type="image\/webp" data-srcset=".+" data-sizes=".+"><img .+><\/picture>$/)
+  expect(queue.images.queue[2].options.format).toEqual('webp')
+})
+
+test('use global image formats', async () => {
+  const filePath = path.resolve(context, 'assets/image.webp')
+  const config = { ...baseconfig, images: { formats: ['webp'] }}
+  const queue = new AssetsQueue({ context, config })
+
+  const result = await queue.add(path.resolve(context, 'assets/1000x600.jpg'), { blur: 0 })
+  const result2 = await queue.add(filePath, { blur: 0 })
+  const result3 = await queue.add(filePath, { blur: 0, srcset: false })
+
+  expect(result.sources).toHaveLength(1)
+  expect(result.sources[0].type).toEqual('image/webp')
+  expect(result2.sources).toHaveLength(0)
+  expect(result3.sources).toHaveLength(0)
+})
+
 test('handle external image urls', async () => {
   const filePath = 'https://www.example.com/assets/images/image.png'
   const queue = new AssetsQueue({ context, config: baseconfig })
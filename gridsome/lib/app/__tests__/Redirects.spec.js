@@ -0,0 +1,60 @@
+const App = require('../App')
+const { BOOTSTRAP_PAGES } = require('../../utils/constants')
+
+test('add redirects from config', async () => {
+  const app = await createApp(null, [
+    { from: '/old', to: '/new' },
+    { from: '/temp', to: 'https://example.com', status: 302 }
+  ])
+
+  expect(app.redirects.data()).toHaveLength(2)
+  expect(app.redirects.match('/old')).toEqual({ status: 301, to: '/new' })
+  expect(app.redirects.match('/temp')).toEqual({ status: 302, to: 'https://example.com' })
+  expect(app.redirects.match('/other')).toBeNull()
+})
+
+test('replace params and wildcards in redirects', async () => {
+  const app = await createApp(null, [
+    { from: '/blog/:year/:slug', to: '/posts/:slug' },
+    { from: '/docs/*', to: '/guide/:splat' }
+  ])
+
+  expect(app.redirects.match('/blog/2019/hello')).toMatchObject({ to: '/posts/hello' })
+  expect(app.redirects.match('/docs/setup/install')).toMatchObject({ to: '/guide/setup/install' })
+  expect(app.redirects.data()[1].isStatic).toEqual(false)
+})
+
+test('create redirects in the createPages hook', async () => {
+  let count = 2
+
+  const app = await createApp(function (api) {
+    api.createPages(({ createRedirect }) => {
+      for (let i = 1; i <= count; i++) {
+        createRedirect({ from: `/old-${i}`, to: `/new-${i}`, status: 308 })
+      }
+    })
+  })
+
+  expect(app.redirects.match('/old-2')).toEqual({ status: 308, to: '/new-2' })
+
+  count = 1
+  await app.createPages()
+
+  expect(app.redirects.data()).toHaveLength(1)
+  expect(app.redirects.match('/old-2')).toBeNull()
+})
+
+test('fail for invalid redirects', async () => {
+  const app = await createApp()
+
+  expect(() => app.redirects.createRedirect({ from: 'old', to: '/new' })).toThrow('leading slash')
+  expect(() => app.redirects.createRedirect({ from: '/old', to: '/new', status: 200 })).toThrow('status')
+})
+
+async function createApp (plugin, redirects = []) {
+  const app = await new App(__dirname, {
+    localConfig: { plugins: plugin ? [plugin] : [], redirects }
+  })
+
+  return app.bootstrap(BOOTSTRAP_PAGES)
+}
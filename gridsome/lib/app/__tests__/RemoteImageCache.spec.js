@@ -0,0 +1,112 @@
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const fs = require('fs-extra')
+const RemoteImageCache = require('../queue/RemoteImageCache')
+
+const image = fs.readFileSync(path.resolve(__dirname, '../../__tests__/assets/350x250.png'))
+
+let server, baseUrl, requests, cacheDir
+
+beforeEach(async () => {
+  requests = []
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gridsome-remote-'))
+  server = http.createServer((req, res) => {
+    requests.push(req.url)
+
+    if (req.url === '/redirect') {
+      res.writeHead(302, { location: '/image.png' })
+      return res.end()
+    }
+
+    if (req.url === '/missing.png') {
+      res.writeHead(404)
+      return res.end()
+    }
+
+    res.writeHead(200, { 'content-type': 'image/png' })
+    res.end(image)
+  })
+
+  await new Promise(resolve => server.listen(0, 'localhost', resolve))
+
+  baseUrl = `http://localhost:${server.address().port}`
+})
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve))
+  await fs.remove(cacheDir)
+})
+
+test('allow remote images by host', () => {
+  const cache = createCache(['example.com', '*.images.net'])
+
+  expect(cache.isAllowed('https://example.com/image.png')).toEqual(true)
+  expect(cache.isAllowed('https://example.com/image')).toEqual(true)
+  expect(cache.isAllowed('https://cdn.images.net/image.jpg')).toEqual(true)
+  expect(cache.isAllowed('https://example.com/document.pdf')).toEqual(false)
+  expect(cache.isAllowed('https://images.net/image.png')).toEqual(false)
+  expect(cache.isAllowed('https://other.com/image.png')).toEqual(false)
+  expect(cache.isAllowed('/assets/image.png')).toEqual(false)
+  expect(createCache().isAllowed('https://example.com/image.png')).toEqual(false)
+})
+
+test('download and cache remote images', async () => {
+  const cache = createCache(['localhost'])
+
+  const filePath = await cache.fetch(`${baseUrl}/image.png`)
+  const filePath2 = await cache.fetch(`${baseUrl}/image.png`)
+
+  expect(path.dirname(filePath)).toEqual(cacheDir)
+  expect(path.extname(filePath)).toEqual('.png')
+  expect(filePath2).toEqual(filePath)
+  expect(requests).toHaveLength(1)
+  expect(fs.readFileSync(filePath)).toEqual(image)
+
+  const index = await fs.readJson(path.join(cacheDir, 'index.json'))
+  expect(index[`${baseUrl}/image.png`]).toEqual(path.basename(filePath))
+
+  // a new instance should read from the persisted index
+  await createCache(['localhost']).fetch(`${baseUrl}/image.png`)
+  expect(requests).toHaveLength(1)
+})
+
+test('use content type and follow redirects', async () => {
+  const cache = createCache(['localhost'])
+
+  const [filePath1, filePath2] = await Promise.all([
+    cache.fetch(`${baseUrl}/image`),
+    cache.fetch(`${baseUrl}/redirect`)
+  ])
+
+  expect(path.extname(filePath1)).toEqual('.png')
+  expect(filePath2).toEqual(filePath1)
+  expect(requests).toEqual(['/image', '/redirect', '/image.png'])
+})
+
+test('keep all downloads in the index', async () => {
+  const cache = createCache(['localhost'])
+  const urls = [1, 2, 3, 4, 5].map(i => `${baseUrl}/image-${i}.png`)
+
+  await Promise.all(urls.map(imageUrl => cache.fetch(imageUrl)))
+
+  const index = await fs.readJson(path.join(cacheDir, 'index.json'))
+
+  expect(Object.keys(index).sort()).toEqual(urls)
+})
+
+test('fail on invalid responses', async () => {
+  const cache = createCache(['localhost'])
+
+  await expect(cache.fetch(`${baseUrl}/missing.png`)).rejects.toThrow('(404)')
+})
+
+function createCache (remoteHosts = []) {
+  return new RemoteImageCache({
+    config: {
+      remoteImagesDir: cacheDir,
+      imageExtensions: ['.png', '.jpg', '.jpeg'],
+      images: { remoteHosts }
+    }
+  })
+}
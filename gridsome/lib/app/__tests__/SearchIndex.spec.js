@@ -0,0 +1,83 @@
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const App = require('../App')
+const PluginAPI = require('../PluginAPI')
+const { tokenize } = require('../SearchIndex')
+
+let context, app, api
+
+beforeEach(async () => {
+  context = await fs.mkdtemp(path.join(os.tmpdir(), 'gridsome-search-'))
+  app = new App(context, {
+    config: {
+      plugins: [],
+      outDir: path.join(context, 'dist'),
+      assetsDir: path.join(context, 'dist', 'assets')
+    }
+  }).init()
+  api = new PluginAPI(app, { entry: { options: {}, clientOptions: undefined }})
+})
+
+afterEach(async () => {
+  await fs.remove(context)
+})
+
+test('tokenize field values', () => {
+  expect(tokenize('<p>Hello, World!</p>')).toEqual(['hello', 'world'])
+  expect(tokenize(['Vue.js', 'GraphQL'])).toEqual(['vue', 'js', 'graphql'])
+  expect(tokenize(2019)).toEqual(['2019'])
+  expect(tokenize({ title: 'Object' })).toEqual([])
+})
+
+test('create inverted index for searchable fields', () => {
+  const posts = api.store.addContentType({
+    typeName: 'Post',
+    route: '/blog/:id',
+    searchFields: { title: 2, 'author.name': 1 }
+  })
+
+  api.store.addContentType({ typeName: 'Tag', route: '/tag/:id' })
+    .addNode({ id: 'vue', title: 'Vue' })
+
+  posts.addNode({ id: '1', title: 'Hello Vue', author: { name: 'Jane' }})
+  posts.addNode({ id: '2', title: 'Hello world', author: { name: 'Vue' }})
+
+  const { manifest, files } = app.searchIndex.create()
+
+  expect(manifest.docs).toEqual([
+    ['/blog/1', 'Post', '1'],
+    ['/blog/2', 'Post', '2']
+  ])
+
+  expect(Object.keys(manifest.chunks).sort()).toEqual(['h', 'j', 'v', 'w'])
+
+  const chunk = JSON.parse(files[manifest.chunks.v])
+
+  expect(chunk.vue).toEqual([[0, 2], [1, 1]])
+})
+
+test('only index nodes with rendered pages', async () => {
+  const posts = api.store.addContentType({
+    typeName: 'Post',
+    searchFields: ['title']
+  })
+
+  posts.addNode({ id: '1', title: 'First', path: '/first' })
+  posts.addNode({ id: '2', title: 'Second', path: '/second' })
+  posts.addNode({ id: '3', title: 'Third' })
+
+  const totalDocs = await app.searchIndex.write([{ path: '/first' }])
+  const manifest = await fs.readJson(path.join(app.searchIndex.outputDir, 'index.json'))
+
+  expect(totalDocs).toEqual(1)
+  expect(manifest.docs).toEqual([['/first', 'Post', '1']])
+  expect(fs.existsSync(path.join(app.searchIndex.outputDir, manifest.chunks.f))).toEqual(true)
+})
+
+test('skip search index without searchable content types', async () => {
+  api.store.addContentType('Post').addNode({ id: '1', path: '/first' })
+
+  expect(await app.searchIndex.write([{ path: '/first' }])).toEqual(0)
+  expect(fs.existsSync(app.searchIndex.outputDir)).toEqual(false)
+})
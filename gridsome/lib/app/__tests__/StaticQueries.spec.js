@@ -0,0 +1,152 @@
+const path = require('path')
+const App = require('../App')
+const StaticQueries = require('../StaticQueries')
+const { BOOTSTRAP_PAGES } = require('../../utils/constants')
+
+const relatedQuery = `query ($id: String!) {
+  post (id: $id) { title }
+}`
+
+test('only add static queries with variables', async () => {
+  const app = await createApp()
+  const { staticQueries } = app
+
+  expect(staticQueries.add('/Footer.vue', `query { metaData { siteName } }`)).toEqual(false)
+  expect(staticQueries.get('/Footer.vue')).toBeNull()
+
+  expect(staticQueries.add('/Related.vue', relatedQuery)).toEqual(true)
+  expect(staticQueries.add('/Related.vue', relatedQuery)).toEqual(false)
+  expect(staticQueries.get('/Related.vue')).toMatchObject({
+    id: StaticQueries.createId(relatedQuery),
+    component: '/Related.vue'
+  })
+
+  expect(staticQueries.add('/Related.vue', `query { metaData { siteName } }`)).toEqual(true)
+  expect(staticQueries.get('/Related.vue')).toBeNull()
+})
+
+test('execute static queries with page variables', async () => {
+  const app = await createApp(function (api) {
+    api.loadSource(store => {
+      const posts = store.addContentType({ typeName: 'Post' })
+
+      posts.addNode({ id: '1', title: 'Post 1' })
+      posts.addNode({ id: '2', title: 'Post 2' })
+    })
+  })
+
+  const id = StaticQueries.createId(relatedQuery)
+
+  app.staticQueries.add('/Related.vue', relatedQuery)
+
+  const results = await app.staticQueries.execute({ context: { id: '2' }})
+  const node = app.store.getContentType('Post').getNode('1')
+  const nodeResults = await app.staticQueries.execute({ queryVariables: node })
+  const emptyResults = await app.staticQueries.execute({ context: {}})
+
+  expect(results.data).toEqual({ [id]: { post: { title: 'Post 2' }}})
+  expect(nodeResults.data).toEqual({ [id]: { post: { title: 'Post 1' }}})
+  expect(emptyResults.data).toBeNull()
+})
+
+test('return errors from static queries', async () => {
+  const app = await createApp()
+
+  app.staticQueries.add('/Invalid.vue', `query ($id: ID) { invalid (id: $id) }`)
+
+  const results = await app.staticQueries.execute({ context: { id: '1' }})
+
+  expect(results.errors).toHaveLength(1)
+  expect(results.component).toEqual('/Invalid.vue')
+})
+
+test('execute static queries as json chunks', async () => {
+  const app = await createApp(function (api) {
+    api.loadSource(store => {
+      store.addContentType({ typeName: 'Post' }).addNode({ id: '1', title: 'Post 1' })
+    })
+  }, { staticQueryData: 'json' })
+
+  const source = `query { post (id: "1") { title } }`
+  const id = StaticQueries.createId(source)
+  const onChange = jest.fn()
+
+  app.staticQueries.on('change', onChange)
+
+  expect(app.staticQueries.add('/Nav.vue', source)).toEqual(true)
+  expect(app.staticQueries.get('/Nav.vue').hasVariables).toEqual(false)
+
+  const chunks = await app.staticQueries.executeChunks()
+
+  expect(chunks).toHaveLength(1)
+  expect(chunks[0]).toMatchObject({ id, data: { post: { title: 'Post 1' }}})
+  expect(onChange).toHaveBeenCalledTimes(1)
+
+  // per page execution ignores queries without variables
+  expect((await app.staticQueries.execute({ context: {}})).data).toBeNull()
+
+  await app.staticQueries.executeChunks()
+
+  expect(onChange).toHaveBeenCalledTimes(1)
+
+  app.store.getContentType('Post').updateNode({ id: '1', title: 'Updated' })
+
+  const chunk = await app.staticQueries.getChunk(id)
+
+  expect(chunk.data).toEqual({ post: { title: 'Updated' }})
+  expect(onChange).toHaveBeenCalledTimes(2)
+  expect(await app.staticQueries.getChunkData()).toEqual({ [id]: chunk.data })
+})
+
+test('execute static queries used by the page component', async () => {
+  const context = path.join(__dirname, '__fixtures__', 'project-static-queries')
+  const app = await createApp(function (api) {
+    api.loadSource(store => {
+      store.addContentType({ typeName: 'Post' }).addNode({ id: '1', title: 'Post 1' })
+    })
+  }, {}, context)
+
+  const relatedPath = path.join(context, 'src', 'components', 'Related.vue')
+  const layoutPath = path.join(context, 'src', 'layouts', 'Default.vue')
+  const postPath = path.join(context, 'src', 'pages', 'Post.vue')
+  const aboutPath = path.join(context, 'src', 'pages', 'About.vue')
+  const related = app.staticQueries.get(relatedPath)
+  const layout = app.staticQueries.get(layoutPath)
+
+  const components = component => {
+    return app.staticQueries.findQueries(component).map(query => query.component)
+  }
+
+  expect(components(postPath).sort()).toEqual([relatedPath, layoutPath].sort())
+  expect(components(aboutPath)).toEqual([layoutPath])
+  expect(components()).toHaveLength(2)
+
+  const results = await app.staticQueries.execute({
+    component: aboutPath,
+    context: { id: '1' }
+  })
+
+  expect(results.data).toEqual({ [layout.id]: { post: { id: '1' }}})
+  expect(results.data[related.id]).toBeUndefined()
+})
+
+test('find static query chunks used by the page component', async () => {
+  const context = path.join(__dirname, '__fixtures__', 'project-static-queries')
+  const app = await createApp(null, { staticQueryData: 'json' }, context)
+
+  const postPath = path.join(context, 'src', 'pages', 'Post.vue')
+  const aboutPath = path.join(context, 'src', 'pages', 'About.vue')
+
+  app.staticQueries.add(aboutPath, `query { allPost { totalCount } }`)
+
+  expect(app.staticQueries.findQueries(aboutPath, false)).toMatchObject([{ component: aboutPath }])
+  expect(app.staticQueries.findQueries(postPath, false)).toHaveLength(0)
+})
+
+async function createApp (plugin, localConfig = {}, context = __dirname) {
+  const app = await new App(context, {
+    localConfig: { ...localConfig, plugins: plugin ? [plugin] : [] }
+  })
+
+  return app.bootstrap(BOOTSTRAP_PAGES)
+}
@@ -1,10 +1,15 @@
-const { NOT_FOUND_NAME, NOT_FOUND_PATH } = require('../../utils/constants')
+const { localizePath } = require('../../utils')
+const { NOT_FOUND_NAME, NOT_FOUND_PATH, TOKEN_SEPARATOR } = require('../../utils/constants')
 
-function genConstants () {
+function genConstants ({ config }) {
   let code = ''
 
   code += `export const NOT_FOUND_NAME = ${JSON.stringify(NOT_FOUND_NAME)}\n`
   code += `export const NOT_FOUND_PATH = ${JSON.stringify(NOT_FOUND_PATH)}\n`
+  code += `export const TOKEN_SEPARATOR = ${TOKEN_SEPARATOR.toString()}\n`
+  code += `export const LOCALES = ${JSON.stringify(config.locales)}\n`
+  code += `export const DEFAULT_LOCALE = ${JSON.stringify(config.defaultLocale)}\n`
+  code += `export const localizePath = ${localizePath.toString()}\n`
 
   return code
 }
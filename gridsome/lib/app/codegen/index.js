@@ -5,6 +5,7 @@ const genConfig = require('./config')
 const genRoutes = require('./routes')
 const genPlugins = require('./plugins')
 const genConstants = require('./constants')
+const genStaticQueries = require('./staticQueries')
 
 // TODO: let plugins add generated files
 
@@ -17,6 +18,7 @@ class Codegen {
       'config.js': genConfig,
       'routes.js': genRoutes,
       'constants.js': genConstants,
+      'static-queries.js': genStaticQueries,
       'plugins-server.js': () => genPlugins(app, true),
       'plugins-client.js': () => genPlugins(app, false),
       'now.js': () => `export default ${app.store.lastUpdate}`
@@ -1,5 +1,5 @@
 const path = require('path')
-const { uniqBy, isPlainObject } = require('lodash')
+const { uniq, uniqBy, isPlainObject } = require('lodash')
 const { NOT_FOUND_NAME } = require('../../utils/constants')
 const { slugify } = require('../../utils')
 
@@ -22,6 +22,8 @@ function genRoutes (app, routeMeta = {}) {
     const chunkName = JSON.stringify(page.chunkName || genChunkName(page.component, app.context))
     const dataInfo = page.dataInfo || routeMeta[page.route]
     const hasContext = Object.keys(page.context).length > 0
+    const hasStaticQueries = app.staticQueries.findQueries(page.component).length > 0
+    const staticChunks = app.staticQueries.findQueries(page.component, false).map(query => query.id)
     const props = []
     const metas = []
 
@@ -32,10 +34,15 @@ function genRoutes (app, routeMeta = {}) {
       metas.push(`data: () => import(/* webpackChunkName: ${chunkName} */ ${JSON.stringify(dataInfo)})`)
     } else if (Array.isArray(dataInfo)) {
       metas.push(`data: ${JSON.stringify(dataInfo)}`)
-    } else if (process.env.GRIDSOME_MODE !== 'static' && (page.query.document || hasContext)) {
+    } else if (process.env.GRIDSOME_MODE !== 'static' && (page.query.document || hasContext || hasStaticQueries)) {
       metas.push(`data: true`)
     }
 
+    // lets the client prefetch the static query results
+    if (staticChunks.length) {
+      metas.push(`staticQueries: ${JSON.stringify(uniq(staticChunks))}`)
+    }
+
     for (const key in page.internal.meta) {
       const value = page.internal.meta[key]
 
@@ -86,3 +93,4 @@ function genChunkName (component, context) {
 }
 
 module.exports = genRoutes
+module.exports.genChunkName = genChunkName
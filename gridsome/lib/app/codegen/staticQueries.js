@@ -0,0 +1,12 @@
+// Maps static query ids to the hashed JSON files
+// with the results when `staticQueryData` is `json`.
+function genStaticQueries (app, chunks = []) {
+  const files = chunks.reduce((acc, { id, hash }) => {
+    acc[id] = hash
+    return acc
+  }, {})
+
+  return `export default ${JSON.stringify(files)}\n`
+}
+
+module.exports = genStaticQueries
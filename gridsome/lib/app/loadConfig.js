@@ -85,18 +85,34 @@ module.exports = (context, options = {}) => {
   config.tmpDir = resolve('src/.temp')
   config.cacheDir = resolve('.cache')
   config.dataDir = path.join(config.cacheDir, 'data')
+  config.storeCachePath = path.join(config.cacheDir, 'store.json')
+  config.cacheStore = localConfig.cacheStore === true
   config.imageCacheDir = resolve('.cache', assetsDir, 'static')
+  config.remoteImagesDir = path.join(config.cacheDir, 'remote-images')
   config.maxImageWidth = localConfig.maxImageWidth || 2560
   config.imageExtensions = SUPPORTED_IMAGE_TYPES
   config.pagesDir = resolve('src/pages')
   config.templatesDir = resolve('src/templates')
+  config.fragmentsDir = resolve('src/fragments')
+  config.typesDir = resolve(localConfig.typesDir || 'src/__generated__')
+  config.generateTypes = localConfig.generateTypes === true
   config.componentParsers = []
+  config.incrementalBuild = localConfig.incrementalBuild === true
+  config.watch = args.watch === true || process.env.NODE_ENV === 'development'
+  config.drafts = args.drafts === true || process.env.NODE_ENV === 'development'
+  config.strict = args.strict === true
 
   config.chainWebpack = localConfig.chainWebpack
   config.configureWebpack = localConfig.configureWebpack
   config.configureServer = localConfig.configureServer
 
   config.images = { ...localConfig.images }
+  config.images.remoteHosts = Array.isArray(config.images.remoteHosts)
+    ? config.images.remoteHosts.slice()
+    : []
+  config.images.formats = Array.isArray(config.images.formats)
+    ? config.images.formats.slice()
+    : []
 
   if (!colorString.get(config.images.backgroundColor || '')) {
     config.images.backgroundColor = null
@@ -110,6 +126,26 @@ module.exports = (context, options = {}) => {
 
   // max cache age for html markup in serve mode
   config.maxCacheAge = localConfig.maxCacheAge || 1000
+  config.serve = normalizeServeConfig(localConfig.serve, config.maxCacheAge)
+  config.maxStateSize = localConfig.maxStateSize !== undefined
+    ? parseInt(localConfig.maxStateSize, 10) || 0
+    : 25000
+  config.oversizedState = ['warn', 'error', 'split'].includes(localConfig.oversizedState)
+    ? localConfig.oversizedState
+    : 'warn'
+  config.staticQueryData = localConfig.staticQueryData === 'json' ? 'json' : 'inline'
+
+  config.locales = Array.isArray(localConfig.locales) ? localConfig.locales.slice() : []
+  config.defaultLocale = localConfig.defaultLocale || config.locales[0] || 'en'
+
+  if (config.locales.length && !config.locales.includes(config.defaultLocale)) {
+    config.locales.unshift(config.defaultLocale)
+  }
+
+  config.redirects = Array.isArray(localConfig.redirects) ? localConfig.redirects.slice() : []
+  config.exportRedirects = Array.isArray(localConfig.exportRedirects)
+    ? localConfig.exportRedirects.slice()
+    : []
 
   config.siteUrl = localConfig.siteUrl || ''
   config.siteName = localConfig.siteName || path.parse(context).name
@@ -117,9 +153,13 @@ module.exports = (context, options = {}) => {
   config.siteDescription = localConfig.siteDescription || ''
   config.metaData = localConfig.metaData || {}
 
-  config.manifestsDir = path.join(config.assetsDir, 'manifest')
+  // bundles for the renderer must not be served from outDir
+  config.manifestsDir = path.join(config.cacheDir, 'manifest')
   config.clientManifestPath = path.join(config.manifestsDir, 'client.json')
   config.serverBundlePath = path.join(config.manifestsDir, 'server.json')
+  config.serverDir = `${config.outDir}-server`
+  config.serverPagesPath = path.join(config.serverDir, 'manifest.json')
+  config.serverEntryPath = path.join(config.serverDir, 'index.js')
 
   config.icon = normalizeIconsConfig(localConfig.icon)
 
@@ -260,6 +300,26 @@ function resolveTransformers (pkg, config) {
   return result
 }
 
+// cache policies are matched against the request path in serve mode
+function normalizeServeConfig (options = {}, maxCacheAge) {
+  const defaults = {
+    maxAge: options.maxAge !== undefined ? options.maxAge : maxCacheAge,
+    staleWhileRevalidate: options.staleWhileRevalidate || 0
+  }
+
+  const routes = Object.keys(options.routes || {}).map(route => ({
+    ...defaults,
+    ...options.routes[route],
+    route
+  }))
+
+  return {
+    maxEntries: options.maxEntries || 500,
+    ...defaults,
+    routes
+  }
+}
+
 function normalizeIconsConfig (config = {}) {
   const res = {}
 
@@ -3,18 +3,31 @@ const isUrl = require('is-url')
 const mime = require('mime-types')
 const FileProcessQueue = require('./FileProcessQueue')
 const ImageProcessQueue = require('./ImageProcessQueue')
+const RemoteImageCache = require('./RemoteImageCache')
+const { warn } = require('../../utils/log')
 
 class AssetsQueue {
   constructor (app) {
     this.app = app
     this.files = new FileProcessQueue(app)
     this.images = new ImageProcessQueue(app)
+    this.remoteImages = new RemoteImageCache(app)
 
     this.index = {}
   }
 
   async add (filePath, options) {
     const { config, context } = this.app
+
+    // download images from allowed hosts and process them as local files
+    if (isUrl(filePath) && this.remoteImages.isAllowed(filePath)) {
+      try {
+        filePath = await this.remoteImages.fetch(filePath)
+      } catch (err) {
+        warn(err.message)
+      }
+    }
+
     const { ext } = path.parse(filePath)
     const isImage = config.imageExtensions.includes(ext)
 
@@ -25,7 +38,7 @@ class AssetsQueue {
       filePath
     }
 
-    // TODO: process external files and images
+    // TODO: process external files
     if (isUrl(filePath) || !filePath.startsWith(context)) {
       data.isUrl = true
       data.src = filePath
@@ -7,8 +7,13 @@ const colorString = require('color-string')
 const md5File = require('md5-file/promise')
 const imageSize = require('probe-image-size')
 const svgDataUri = require('mini-svg-data-uri')
+const { get } = require('lodash')
 const { forwardSlash } = require('../../utils')
-const { warmupSharp } = require('../../utils/sharp')
+const { warmupSharp, supportsFormat } = require('../../utils/sharp')
+
+// formats which can be converted into modern formats
+const CONVERTIBLE_TYPES = ['.png', '.jpeg', '.jpg', '.webp']
+const MODERN_FORMATS = ['avif', 'webp']
 
 class ImageProcessQueue {
   constructor ({ context, config }) {
@@ -28,10 +33,14 @@ class ImageProcessQueue {
       return asset
     }
 
-    asset.sets.forEach(({ filename, destPath, width }) => {
+    const sets = asset.sources.reduce((sets, source) => {
+      return sets.concat(source.sets)
+    }, asset.sets)
+
+    sets.forEach(({ filename, destPath, width, format }) => {
       if (!this._queue.has(destPath + asset.cacheKey)) {
         this._queue.set(destPath + asset.cacheKey, {
-          options: { ...options, width },
+          options: format ? { ...options, width, format } : { ...options, width },
           cacheKey: asset.cacheKey,
           size: asset.size,
           destPath,
@@ -96,7 +105,7 @@ class ImageProcessQueue {
       return path.join(imagesDir, filename)
     }
 
-    const sets = imageSizes.map((width = imageWidth) => {
+    const createSets = format => imageSizes.map((width = imageWidth) => {
       const height = Math.ceil(imageHeight * (width / imageWidth))
       const imageOptions = { ...options, width }
 
@@ -104,21 +113,33 @@ class ImageProcessQueue {
         imageOptions.height = height
       }
 
+      if (format) {
+        imageOptions.format = format
+      }
+
       const arr = this.createImageOptions(imageOptions)
       const filename = this.createFileName(filePath, arr, hash)
       const relPath = createDestPath(filename, arr)
       const destPath = path.join(this.config.outDir, relPath)
       const src = encodeURI(forwardSlash(path.join(pathPrefix || '/', relPath)))
 
-      return { filename, destPath, src, width, height }
+      return format
+        ? { filename, destPath, src, width, height, format }
+        : { filename, destPath, src, width, height }
     })
 
+    const sets = createSets()
+    const formats = CONVERTIBLE_TYPES.includes(ext)
+      ? this.createFormats(options.formats, ext)
+      : []
+
     const results = {
       src: sets[sets.length - 1].src,
       size: { width: imageWidth, height: imageHeight },
       cacheKey: genHash(filePath + hash + JSON.stringify(options)),
       noscriptHTML: '',
       imageHTML: '',
+      sources: [],
       name,
       ext,
       hash,
@@ -133,6 +154,12 @@ class ImageProcessQueue {
       results.dataUri = await createDataUri(buffer, mimeType, imageWidth, imageHeight, options)
       results.sizes = options.sizes || `(max-width: ${imageWidth}px) 100vw, ${imageWidth}px`
       results.srcset = results.sets.map(({ src, width }) => `${src} ${width}w`)
+      results.sources = formats.map(format => {
+        const sets = createSets(format)
+        const srcset = sets.map(({ src, width }) => `${src} ${width}w`)
+
+        return { type: `image/${format}`, srcset, sets }
+      })
     }
 
     if (isLazy && isSrcset) {
@@ -159,9 +186,35 @@ class ImageProcessQueue {
       (isLazy && isSrcset ? ` data-sizes="${results.sizes}"` : '') +
       (isLazy && isSrcset ? ` data-src="${results.src}">` : '>')
 
+    if (results.sources.length) {
+      const prefix = isLazy ? 'data-' : ''
+
+      results.imageHTML = '' +
+        `<picture class="g-picture">` +
+        results.sources.map(({ type, srcset }) => '' +
+          `<source type="${type}" ` +
+          `${prefix}srcset="${srcset.join(', ')}" ` +
+          `${prefix}sizes="${results.sizes}">`
+        ).join('') +
+        results.imageHTML +
+        `</picture>`
+    }
+
     return results
   }
 
+  createFormats (value = get(this.config, 'images.formats', []), ext) {
+    const formats = typeof value === 'string' ? value.split(',') : value || []
+
+    return MODERN_FORMATS.filter(format => {
+      return (
+        formats.some(value => value.trim().toLowerCase() === format) &&
+        `.${format}` !== ext &&
+        supportsFormat(sharp, format)
+      )
+    })
+  }
+
   createImageOptions (options) {
     const imageOptions = []
 
@@ -193,11 +246,17 @@ class ImageProcessQueue {
       imageOptions.push({ key: 'blur', shortKey: 'bl-', value: options.blur })
     }
 
+    if (options.format) {
+      imageOptions.push({ key: 'format', shortKey: 'fm-', value: options.format })
+    }
+
     return imageOptions
   }
 
   createFileName (relPath, arr, hash) {
-    const { name, ext } = path.parse(relPath)
+    const { name } = path.parse(relPath)
+    const format = arr.find(({ key }) => key === 'format')
+    const ext = format ? `.${format.value}` : path.extname(relPath)
     const string = arr.length ? createOptionsQuery(arr) : ''
 
     const optionsHash = genHash(string).substr(0, 7)
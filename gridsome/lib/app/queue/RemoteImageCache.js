@@ -0,0 +1,153 @@
+const url = require('url')
+const path = require('path')
+const http = require('http')
+const https = require('https')
+const fs = require('fs-extra')
+const crypto = require('crypto')
+const mime = require('mime-types')
+const { get } = require('lodash')
+
+const MAX_REDIRECTS = 5
+const TIMEOUT = 30000
+
+class RemoteImageCache {
+  constructor ({ config }) {
+    this.config = config
+    this.cacheDir = config.remoteImagesDir
+    this.hosts = get(config, 'images.remoteHosts', [])
+
+    this._index = null
+    this._pending = new Map()
+    this._writing = Promise.resolve()
+  }
+
+  get indexPath () {
+    return path.join(this.cacheDir, 'index.json')
+  }
+
+  isAllowed (imageUrl) {
+    const { hostname, pathname } = url.parse(imageUrl)
+    const ext = path.extname(pathname || '').toLowerCase()
+
+    if (!hostname) return false
+    if (ext && !this.config.imageExtensions.includes(ext)) return false
+
+    return this.hosts.some(host => {
+      if (host === '*') return true
+      if (host.startsWith('*.')) return hostname.endsWith(host.substr(1))
+      return hostname === host
+    })
+  }
+
+  // Downloads an image and returns the local file path. Files
+  // are named by their content hash to avoid duplicates.
+  async fetch (imageUrl) {
+    const index = await this._loadIndex()
+    const filename = index[imageUrl]
+
+    if (filename && await fs.exists(path.join(this.cacheDir, filename))) {
+      return path.join(this.cacheDir, filename)
+    }
+
+    if (!this._pending.has(imageUrl)) {
+      this._pending.set(imageUrl, this._download(imageUrl).then(filePath => {
+        this._pending.delete(imageUrl)
+        return filePath
+      }, err => {
+        this._pending.delete(imageUrl)
+        throw err
+      }))
+    }
+
+    return this._pending.get(imageUrl)
+  }
+
+  async _download (imageUrl) {
+    const { buffer, contentType } = await request(imageUrl)
+    const { pathname } = url.parse(imageUrl)
+    const ext = path.extname(pathname).toLowerCase() || `.${mime.extension(contentType)}`
+
+    if (!this.config.imageExtensions.includes(ext)) {
+      throw new Error(`${ext} is not a supported image format.`)
+    }
+
+    const hash = crypto.createHash('md5').update(buffer).digest('hex')
+    const filename = `${hash}${ext}`
+    const filePath = path.join(this.cacheDir, filename)
+
+    if (!await fs.exists(filePath)) {
+      await fs.outputFile(filePath, buffer)
+    }
+
+    this._index[imageUrl] = filename
+
+    await this._saveIndex()
+
+    return filePath
+  }
+
+  // parallel downloads must not write the index at the same time
+  _saveIndex () {
+    const write = () => fs.outputJson(this.indexPath, this._index)
+
+    this._writing = this._writing.then(write, write)
+
+    return this._writing
+  }
+
+  async _loadIndex () {
+    if (!this._index) {
+      try {
+        this._index = await fs.readJson(this.indexPath)
+      } catch (err) {
+        this._index = {}
+      }
+    }
+
+    return this._index
+  }
+}
+
+function request (requestUrl, redirects = 0) {
+  const { get } = requestUrl.startsWith('https:') ? https : http
+
+  return new Promise((resolve, reject) => {
+    const req = get(requestUrl, res => {
+      const { statusCode, headers } = res
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        res.resume()
+
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error(`Too many redirects for ${requestUrl}`))
+        }
+
+        const location = url.resolve(requestUrl, headers.location)
+
+        return resolve(request(location, redirects + 1))
+      }
+
+      if (statusCode !== 200) {
+        res.resume()
+        return reject(new Error(`Failed to download ${requestUrl} (${statusCode})`))
+      }
+
+      const chunks = []
+
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('error', reject)
+      res.on('end', () => resolve({
+        contentType: headers['content-type'] || '',
+        buffer: Buffer.concat(chunks)
+      }))
+    })
+
+    req.on('error', reject)
+    req.setTimeout(TIMEOUT, () => {
+      req.abort()
+      reject(new Error(`Timeout while downloading ${requestUrl}`))
+    })
+  })
+}
+
+module.exports = RemoteImageCache
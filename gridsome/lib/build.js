@@ -1,51 +1,236 @@
 const path = require('path')
 const fs = require('fs-extra')
 const pMap = require('p-map')
+const hashSum = require('hash-sum')
 const hirestime = require('hirestime')
-const { chunk, groupBy } = require('lodash')
+const { chunk, groupBy, debounce, omit } = require('lodash')
 const sysinfo = require('./utils/sysinfo')
-const { log, info, writeLine } = require('./utils/log')
+const { forwardSlash } = require('./utils')
+const BuildReport = require('./app/BuildReport')
+const { log, info, warn, error, writeLine } = require('./utils/log')
 
-module.exports = async (context, args) => {
+module.exports = async (context, args = {}) => {
   process.env.NODE_ENV = 'production'
   process.env.GRIDSOME_MODE = 'static'
 
   const buildTime = hirestime()
   const createApp = require('./app')
   const app = await createApp(context, { args })
-  const { config } = app
+  const { config, buildManifest } = app
+  const watcher = args.watch ? createWatcher(app) : null
+  const report = args.report ? new BuildReport(app, args.report) : null
 
   await app.events.dispatch('beforeBuild', { context, config })
 
-  await fs.emptyDir(config.outDir)
+  // keep previous output when building incrementally
+  if (!await buildManifest.load()) {
+    await fs.emptyDir(config.outDir)
+  }
+
   await fs.emptyDir(config.dataDir)
 
-  const queue = await createRenderQueue(app)
+  const queue = await createRenderQueue(app).catch(async err => {
+    if (report && err.renderQueue) await writeReport(err.renderQueue, report)
+    throw err
+  })
 
   await writePageData(queue, app)
-  await runWebpack(app)
-  await renderHTML(queue, app)
-  await processFiles(app.assets.files)
-  await processImages(app.assets.images, app.config)
+  await writeStaticQueryData(app)
+  await checkStateSize(queue, app)
+  await writeSearchIndex(queue, app)
+  const stats = await runWebpack(app, watcher)
+  const renderTimes = await renderHTML(queue, app)
+  await writeServerEntry(queue, app)
+  await processFiles(app.assets.files.queue)
+  await processImages(app.assets.images.queue, app.config)
+  await removeStaleFiles(queue, app)
 
   // copy static files
   if (fs.existsSync(config.staticDir)) {
     await fs.copy(config.staticDir, config.outDir)
   }
 
-  await app.events.dispatch('afterBuild', () => ({ context, config, queue }))
+  await app.events.dispatch('afterBuild', () => ({
+    context,
+    config,
+    queue,
+    redirects: app.redirects.data()
+  }))
+
+  if (report) {
+    report.setWebpackStats(stats)
+    report.setRenderTimes(renderTimes)
+    await writeReport(queue, report)
+  }
+
+  // clean up, but keep the bundles and route meta for rebuilds
+  if (!watcher) {
+    await fs.remove(config.manifestsDir)
+    await fs.remove(config.dataDir)
+  }
 
-  // clean up
-  await fs.remove(config.manifestsDir)
-  await fs.remove(config.dataDir)
+  await buildManifest.save(queue)
 
   log()
   log(`  Done in ${buildTime(hirestime.S)}s`)
   log()
 
+  if (watcher) {
+    watcher.start(queue)
+  }
+
   return app
 }
 
+// Keeps the app alive and re-runs the build steps which are
+// affected by changes in the store, pages or bundled files.
+function createWatcher (app) {
+  const { assets, buildManifest } = app
+  const processed = new Set()
+  const changes = { data: false, assets: false, html: false }
+
+  let renderQueue = []
+  let isCompiling = false
+  let isRunning = false
+  let stats = null
+  let timer = null
+
+  const rebuild = debounce(async () => {
+    if (isRunning || isCompiling) return
+
+    isRunning = true
+
+    try {
+      await runChanges()
+    } catch (err) {
+      error(err.stack || err)
+    }
+
+    isRunning = false
+
+    if (changes.data || changes.assets || changes.html) {
+      rebuild()
+    }
+  }, 100)
+
+  const createPages = debounce(async () => {
+    await app.createPages()
+    onDataChange()
+  }, 16)
+
+  function onDataChange () {
+    changes.data = true
+    rebuild()
+  }
+
+  async function runChanges () {
+    if (!timer) {
+      timer = hirestime()
+      log()
+    }
+
+    if (changes.data) {
+      changes.data = false
+      buildManifest.refresh()
+      renderQueue = await createRenderQueue(app)
+      await writePageData(renderQueue, app)
+
+      // the re-generated routes.js makes webpack recompile the
+      // bundles, so the pages are rendered when it is done
+      isCompiling = true
+      changes.html = true
+
+      await writeStaticQueryData(app)
+      await checkStateSize(renderQueue, app)
+      await writeSearchIndex(renderQueue, app)
+
+      return
+    }
+
+    if (changes.assets) {
+      changes.assets = false
+      changes.html = true
+      await applyWebpackStats(stats, app)
+    }
+
+    if (!changes.html) {
+      timer = null
+      return
+    }
+
+    changes.html = false
+
+    const files = filterProcessed(assets.files.queue)
+    const images = filterProcessed(assets.images.queue)
+
+    await renderHTML(renderQueue, app)
+    await writeServerEntry(renderQueue, app)
+    if (files.length) await processFiles(files)
+    if (images.length) await processImages(images, app.config)
+    await removeStaleFiles(renderQueue, app)
+    await buildManifest.save(renderQueue)
+
+    // let plugins update sitemaps, feeds etc.
+    await app.events.dispatch('afterBuild', () => ({
+      context: app.context,
+      config: app.config,
+      queue: renderQueue,
+      redirects: app.redirects.data()
+    }))
+
+    log()
+    log(`  Rebuilt in ${timer(hirestime.S)}s`)
+    log()
+
+    timer = null
+  }
+
+  function filterProcessed (queue) {
+    return queue.filter(({ destPath }) => {
+      if (processed.has(destPath)) return false
+      processed.add(destPath)
+      return true
+    })
+  }
+
+  return {
+    onInvalid () {
+      isCompiling = true
+    },
+    onDone (err, nextStats) {
+      isCompiling = false
+
+      if (err) {
+        return error(err.stack || err)
+      }
+
+      // nothing changed in the bundles
+      if (!nextStats) {
+        return rebuild()
+      }
+
+      stats = nextStats
+      changes.assets = true
+      rebuild()
+    },
+    start (queue) {
+      renderQueue = queue
+      filterProcessed(assets.files.queue)
+      filterProcessed(assets.images.queue)
+
+      app.store.on('change', createPages)
+      app.fragments.watch()
+      app.fragments.on('change', createPages)
+      app.fragments.on('error', err => error(err.message))
+      app.pages.on('create', onDataChange)
+      app.pages.on('update', onDataChange)
+      app.pages.on('remove', onDataChange)
+
+      info(`Watching for changes...`)
+    }
+  }
+}
+
 function createRenderQueue (app) {
   return new Promise((resolve, reject) => {
     app._hooks.createRenderQueue.callAsync([], app, (err, res) => {
@@ -58,12 +243,13 @@ function createRenderQueue (app) {
 async function writePageData (renderQueue, app) {
   const timer = hirestime()
   const queryQueue = renderQueue.filter(entry => entry.dataOutput)
+  const dataQueue = queryQueue.filter(app.buildManifest.hasChangedData)
   const routes = groupBy(queryQueue, entry => entry.route)
   const meta = {}
 
   let count = 0
 
-  for (const entry of queryQueue) {
+  for (const entry of dataQueue) {
     await fs.outputFile(entry.dataOutput, JSON.stringify(entry.data))
   }
 
@@ -86,41 +272,200 @@ async function writePageData (renderQueue, app) {
   // re-generate routes with query meta
   await app.codegen.generate('routes.js', meta)
 
-  info(`Write page data (${queryQueue.length + count} files) - ${timer(hirestime.S)}s`)
+  info(`Write page data (${dataQueue.length + count} files) - ${timer(hirestime.S)}s`)
+}
+
+// Results from static queries without variables are written to
+// hashed JSON files when the `staticQueryData` config is `json`.
+async function writeStaticQueryData (app) {
+  const { config, staticQueries } = app
+
+  if (config.staticQueryData !== 'json') return
+
+  const timer = hirestime()
+  const chunks = await staticQueries.executeChunks()
+  const files = createStaticQueryFiles(app)
+
+  await fs.emptyDir(path.join(config.assetsDir, 'data', 'static'))
+
+  for (const { id, data } of chunks) {
+    await fs.outputFile(files[id], JSON.stringify(data))
+  }
+
+  await app.codegen.generate('static-queries.js', chunks)
+
+  info(`Write static query data (${chunks.length} files) - ${timer(hirestime.S)}s`)
+}
+
+function createStaticQueryFiles (app) {
+  const outDir = path.join(app.config.assetsDir, 'data', 'static')
+
+  return app.staticQueries.chunks().reduce((acc, { id, hash }) => {
+    acc[id] = path.join(outDir, `${hash}.json`)
+    return acc
+  }, {})
+}
+
+// Pages with a state larger than `maxStateSize` are not inlined in
+// the HTML. The largest query fields can be split into separate
+// files instead to keep the rest of the state inlined.
+async function checkStateSize (renderQueue, app) {
+  const timer = hirestime()
+  const { maxStateSize, oversizedState, assetsDir } = app.config
+  const oversized = []
+  let totalSplit = 0
+
+  for (const entry of renderQueue) {
+    if (!entry.dataOutput) continue
+
+    const stateSize = JSON.stringify(entry.data).length
+
+    if (stateSize <= maxStateSize) continue
+
+    if (oversizedState === 'split') {
+      const keys = findSplitFields(entry.data, maxStateSize)
+
+      if (keys) {
+        const $refs = {}
+
+        entry.splitOutputs = []
+
+        for (const key of keys) {
+          const value = entry.data.data[key]
+          const filename = `${entry.dataInfo.group}/${hashSum(value)}.json`
+          const output = path.join(assetsDir, 'data', filename)
+
+          await fs.outputFile(output, JSON.stringify(value))
+
+          entry.splitOutputs.push(output)
+          $refs[key] = filename
+        }
+
+        entry.inlineState = {
+          data: omit(entry.data.data, keys),
+          context: entry.data.context,
+          $refs
+        }
+
+        totalSplit++
+        continue
+      }
+    }
+
+    oversized.push({ path: entry.path, stateSize })
+  }
+
+  if (totalSplit > 0) {
+    info(`Split page state (${totalSplit} pages) - ${timer(hirestime.S)}s`)
+  }
+
+  if (!oversized.length) return
+
+  const maxLines = 20
+  const lines = oversized
+    .sort((a, b) => b.stateSize - a.stateSize)
+    .slice(0, maxLines)
+    .map(({ path, stateSize }) => `  ${path} (${(stateSize / 1000).toFixed(1)} kB)`)
+
+  if (oversized.length > maxLines) {
+    lines.push(`  ...and ${oversized.length - maxLines} more`)
+  }
+
+  const message =
+    `${oversized.length} pages exceeded the max state size of ` +
+    `${(maxStateSize / 1000).toFixed(1)} kB:\n${lines.join('\n')}`
+
+  if (oversizedState === 'error') {
+    throw new Error(message)
+  }
+
+  warn(`${message}\nThe state for these pages will be fetched after page load.`)
+}
+
+// Returns the largest fields in the query results
+// to fetch separately, or null if it doesn't help.
+function findSplitFields (state, maxSize) {
+  const data = state.data || {}
+  const keys = []
+
+  let size = JSON.stringify(state).length
+
+  const fields = Object.keys(data)
+    .map(key => ({ key, size: JSON.stringify(data[key]).length }))
+    .sort((a, b) => b.size - a.size)
+
+  for (const field of fields) {
+    if (size <= maxSize) break
+
+    keys.push(field.key)
+    size -= field.size
+  }
+
+  return size <= maxSize ? keys : null
 }
 
-async function runWebpack (app) {
+async function writeSearchIndex (renderQueue, app) {
+  const timer = hirestime()
+  const totalDocs = await app.searchIndex.write(renderQueue)
+
+  if (totalDocs > 0) {
+    info(`Create search index (${totalDocs} documents) - ${timer(hirestime.S)}s`)
+  }
+}
+
+async function runWebpack (app, watcher = null) {
   const compileTime = hirestime()
   const compileAssets = require('./webpack/compileAssets')
-  const { removeStylesJsChunk } = require('./webpack/utils')
 
   if (!process.stdout.isTTY) {
     info(`Compiling assets...`)
   }
 
-  const stats = await compileAssets(app)
+  const stats = watcher
+    ? await compileAssets.watch(app, {}, watcher)
+    : await compileAssets(app)
+
+  await applyWebpackStats(stats, app)
+
+  info(`Compile assets - ${compileTime(hirestime.S)}s`)
+
+  return stats
+}
+
+async function applyWebpackStats (stats, app) {
+  const { removeStylesJsChunk } = require('./webpack/utils')
 
   if (app.config.css.split !== true) {
     await removeStylesJsChunk(stats, app.config.outDir)
   }
 
-  info(`Compile assets - ${compileTime(hirestime.S)}s`)
+  app.buildManifest.setWebpackStats(stats)
 }
 
 async function renderHTML (renderQueue, app) {
   const { createWorker } = require('./workers')
   const timer = hirestime()
   const worker = createWorker('html-writer')
-  const { htmlTemplate, clientManifestPath, serverBundlePath } = app.config
+  const { htmlTemplate, clientManifestPath, serverBundlePath, maxStateSize } = app.config
+  const staticQueue = renderQueue.filter(entry => entry.htmlOutput)
+  const htmlQueue = await app.buildManifest.filterChangedPages(staticQueue)
+  const renderTimes = {}
 
-  await Promise.all(chunk(renderQueue, 350).map(async pages => {
+  await Promise.all(chunk(htmlQueue, 350).map(async pages => {
     try {
-      await worker.render({
-        pages,
+      Object.assign(renderTimes, await worker.render({
+        pages: pages.map(({ path, htmlOutput, dataOutput, inlineState }) => ({
+          path,
+          htmlOutput,
+          dataOutput,
+          inlineState
+        })),
+        staticQueries: createStaticQueryFiles(app),
         htmlTemplate,
         clientManifestPath,
-        serverBundlePath
-      })
+        serverBundlePath,
+        maxStateSize
+      }))
     } catch (err) {
       worker.end()
       throw err
@@ -129,14 +474,108 @@ async function renderHTML (renderQueue, app) {
 
   worker.end()
 
-  info(`Render HTML (${renderQueue.length} files) - ${timer(hirestime.S)}s`)
+  info(`Render HTML (${htmlQueue.length} files) - ${timer(hirestime.S)}s`)
+
+  return renderTimes
+}
+
+// Pages with `render: 'server'` are rendered on request by a
+// generated server entry which reuses the server bundle.
+async function writeServerEntry (renderQueue, app) {
+  const timer = hirestime()
+  const { config } = app
+  const entries = renderQueue.filter(entry => entry.render === 'server')
+
+  if (!entries.length) {
+    await fs.remove(config.serverDir)
+    return 0
+  }
+
+  const relative = filePath => forwardSlash(path.relative(config.outDir, filePath))
+  const clientManifestPath = path.join(config.serverDir, 'client.json')
+  const serverBundlePath = path.join(config.serverDir, 'server.json')
+  const staticFiles = createStaticQueryFiles(app)
+  const staticQueries = {}
+  const pages = {}
+
+  for (const id in staticFiles) {
+    staticQueries[id] = relative(staticFiles[id])
+  }
+
+  for (const entry of entries) {
+    pages[entry.path] = {
+      dataOutput: entry.dataOutput ? relative(entry.dataOutput) : null,
+      inlineState: entry.inlineState || null
+    }
+  }
+
+  // the bundles are copied to keep them out of the public outDir
+  await fs.copy(config.clientManifestPath, clientManifestPath)
+  await fs.copy(config.serverBundlePath, serverBundlePath)
+
+  await fs.outputJson(config.serverPagesPath, {
+    outDir: forwardSlash(path.relative(config.serverDir, config.outDir)),
+    pathPrefix: config.pathPrefix,
+    htmlTemplate: config.htmlTemplate,
+    clientManifestPath: path.basename(clientManifestPath),
+    serverBundlePath: path.basename(serverBundlePath),
+    maxStateSize: config.maxStateSize,
+    staticQueries,
+    pages
+  })
+
+  await fs.outputFile(config.serverEntryPath, createServerEntry(
+    path.basename(config.serverPagesPath)
+  ))
+
+  info(`Write server entry (${entries.length} pages) - ${timer(hirestime.S)}s`)
+
+  return entries.length
+}
+
+function createServerEntry (manifestPath) {
+  return [
+    `// This file is generated by gridsome build`,
+    `const createServer = require('gridsome/lib/server/createHybridServer')`,
+    `const manifest = require('./${manifestPath}')`,
+    ``,
+    `// pages are rendered with data from the build, set CACHE_MAX_AGE`,
+    `// (in seconds) to render them again after a while`,
+    `const server = createServer(__dirname, manifest, {`,
+    `  maxAge: (Number(process.env.CACHE_MAX_AGE) || 0) * 1000`,
+    `})`,
+    `const port = process.env.PORT || 8080`,
+    `const host = process.env.HOST || 'localhost'`,
+    ``,
+    `server.listen(port, host, () => {`,
+    `  console.log('Site running at: http://' + host + ':' + port + manifest.pathPrefix)`,
+    `})`,
+    ``
+  ].join('\n')
+}
+
+async function writeReport (renderQueue, report) {
+  const timer = hirestime()
+
+  await report.write(renderQueue)
+
+  info(`Write build report (${renderQueue.length} pages) - ${timer(hirestime.S)}s`)
+}
+
+async function removeStaleFiles (renderQueue, app) {
+  const timer = hirestime()
+  const totalFiles = await app.buildManifest.removeStaleFiles(renderQueue)
+
+  if (totalFiles > 0) {
+    info(`Remove stale files (${totalFiles} files) - ${timer(hirestime.S)}s`)
+  }
 }
 
-async function processFiles (files) {
+async function processFiles (queue) {
   const timer = hirestime()
-  const totalFiles = files.queue.length
+  const totalFiles = queue.length
 
-  for (const file of files.queue) {
+  for (const file of queue) {
     await fs.copy(file.filePath, file.destPath)
   }
 
@@ -146,9 +585,9 @@ async function processFiles (files) {
 async function processImages (images, config) {
   const { createWorker } = require('./workers')
   const timer = hirestime()
-  const chunks = chunk(images.queue, 25)
+  const chunks = chunk(images, 25)
   const worker = createWorker('image-processor')
-  const totalAssets = images.queue.length
+  const totalAssets = images.length
   const totalJobs = chunks.length
 
   let progress = 0
@@ -0,0 +1,17 @@
+const path = require('path')
+const chalk = require('chalk')
+const createApp = require('./app')
+const generateTypes = require('./graphql/codegen')
+const { BOOTSTRAP_GRAPHQL } = require('./utils/constants')
+
+module.exports = async (context, args) => {
+  process.env.NODE_ENV = 'development'
+
+  const app = await createApp(context, { args }, BOOTSTRAP_GRAPHQL)
+  const outDir = args.outDir ? path.resolve(context, args.outDir) : app.config.typesDir
+  const files = await generateTypes(app, outDir)
+
+  console.log()
+  console.log(`  Generated ${files.length} files in ${chalk.cyan(path.relative(context, outDir))}`)
+  console.log()
+}
@@ -1,3 +1,4 @@
+const path = require('path')
 const fs = require('fs-extra')
 const chalk = require('chalk')
 const { debounce } = require('lodash')
@@ -13,10 +14,13 @@ module.exports = async (context, args) => {
   const express = require('express')
   const createExpressServer = require('./server/createExpressServer')
   const createSockJsServer = require('./server/createSockJsServer')
-  const server = await createExpressServer(app, { withExplorer: true })
+  const server = await createExpressServer(app, {
+    withExplorer: true,
+    withNodesApi: true
+  })
   const sock = await createSockJsServer(app)
 
-  await fs.emptyDir(config.cacheDir)
+  await emptyCacheDir(config)
 
   server.app.use(config.pathPrefix, express.static(config.staticDir))
   server.app.use(require('connect-history-api-fallback')())
@@ -33,6 +37,8 @@ module.exports = async (context, args) => {
     logLevel: 'silent'
   })
 
+  let isFirstCompile = true
+
   compiler.hooks.done.tap('gridsome develop', stats => {
     if (stats.hasErrors()) {
       return
@@ -41,6 +47,13 @@ module.exports = async (context, args) => {
     console.log()
     console.log(`  Site running at:          ${chalk.cyan(server.url.site)}`)
     console.log(`  Explore GraphQL data at:  ${chalk.cyan(server.url.explore)}`)
+
+    // keep the token out of the output after each recompile
+    if (isFirstCompile) {
+      console.log(`  Push node data to:        ${chalk.cyan(server.url.nodes)} ${chalk.gray(`(token: ${server.nodesToken})`)}`)
+      isFirstCompile = false
+    }
+
     console.log()
   })
 
@@ -50,7 +63,7 @@ module.exports = async (context, args) => {
       : next()
   })
 
-  server.app.listen(server.port, server.host, err => {
+  const httpServer = server.app.listen(server.port, server.host, err => {
     if (err) throw err
   })
 
@@ -62,6 +75,38 @@ module.exports = async (context, args) => {
   app.pages.on('create', generateRoutes)
   app.pages.on('remove', generateRoutes)
 
+  // fragments are attached to the page queries when pages are created
+  app.fragments.watch()
+  app.fragments.on('change', () => {
+    const errors = app.fragments.validate(app.schema)
+
+    if (errors.length) console.error(chalk.red(errors[0]))
+    else createPages()
+  })
+
+  app.fragments.on('error', err => {
+    console.error(chalk.red(err.message))
+  })
+
+  if (config.generateTypes) {
+    watchTypes(app, httpServer)
+  }
+
+  if (config.staticQueryData === 'json') {
+    const executeChunks = debounce(() => {
+      app.staticQueries.executeChunks().catch(err => {
+        console.error(chalk.red(err.message))
+      })
+    }, 16)
+
+    // push updated static query results without recompiling
+    app.staticQueries.on('change', ({ id, data }) => {
+      app.broadcast({ type: 'static-query', id, data }, false)
+    })
+
+    app.store.on('change', executeChunks)
+  }
+
   app.pages.on('update', (page, oldPage) => {
     const { path: oldPath, query: oldQuery } = oldPage
     const { path, query } = page
@@ -85,8 +130,46 @@ module.exports = async (context, args) => {
   // helpers
   //
 
+  function watchTypes (app, httpServer) {
+    const generateTypes = require('./graphql/codegen')
+    const srcDir = path.join(app.context, 'src')
+
+    const regenerate = debounce(() => {
+      generateTypes(app).catch(err => console.error(chalk.red(err.message)))
+    }, 300)
+
+    const watcher = require('chokidar').watch('**/*.vue', {
+      cwd: srcDir,
+      ignoreInitial: true
+    })
+
+    watcher.on('all', regenerate)
+    app.fragments.on('change', regenerate)
+
+    httpServer.on('close', () => {
+      app.fragments.off('change', regenerate)
+      regenerate.cancel()
+      watcher.close()
+    })
+
+    regenerate()
+  }
+
+  async function emptyCacheDir ({ cacheDir, storeCachePath, remoteImagesDir }) {
+    await fs.ensureDir(cacheDir)
+
+    // keep the persisted store and downloaded images between runs
+    for (const filename of await fs.readdir(cacheDir)) {
+      const filePath = path.join(cacheDir, filename)
+
+      if (![storeCachePath, remoteImagesDir].includes(filePath)) {
+        await fs.remove(filePath)
+      }
+    }
+  }
+
   async function createWebpackConfig (app) {
-    const { SOCKJS_ENDPOINT, GRAPHQL_ENDPOINT, GRAPHQL_WS_ENDPOINT } = process.env
+    const { SOCKJS_ENDPOINT, GRAPHQL_ENDPOINT, GRAPHQL_WS_ENDPOINT, SEARCH_ENDPOINT } = process.env
 
     const config = await app.resolveChainableWebpackConfig()
 
@@ -102,7 +185,8 @@ module.exports = async (context, args) => {
           ...definitions,
           'process.env.SOCKJS_ENDPOINT': JSON.stringify(SOCKJS_ENDPOINT || sock.url),
           'process.env.GRAPHQL_ENDPOINT': JSON.stringify(GRAPHQL_ENDPOINT || server.url.graphql),
-          'process.env.GRAPHQL_WS_ENDPOINT': JSON.stringify(GRAPHQL_WS_ENDPOINT || server.url.websocket)
+          'process.env.GRAPHQL_WS_ENDPOINT': JSON.stringify(GRAPHQL_WS_ENDPOINT || server.url.websocket),
+          'process.env.SEARCH_ENDPOINT': JSON.stringify(SEARCH_ENDPOINT || server.url.search)
         }
         return args
       })
@@ -0,0 +1,73 @@
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
+const App = require('../../app/App')
+const generateTypes = require('../codegen')
+const { BOOTSTRAP_GRAPHQL } = require('../../utils/constants')
+
+const context = path.join(__dirname, '__fixtures__', 'project-types')
+
+let outDir
+
+beforeEach(async () => {
+  outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gridsome-types-'))
+})
+
+afterEach(async () => {
+  await fs.remove(outDir)
+})
+
+test('write schema and declaration files', async () => {
+  const app = await createApp()
+  const files = await generateTypes(app, outDir)
+
+  expect(files.map(file => path.relative(outDir, file)).sort()).toEqual([
+    path.join('components', 'Title.d.ts'),
+    path.join('pages', 'Post.d.ts'),
+    'schema.graphql'
+  ])
+
+  const schema = await fs.readFile(path.join(outDir, 'schema.graphql'), 'utf8')
+  const page = await fs.readFile(path.join(outDir, 'pages', 'Post.d.ts'), 'utf8')
+
+  expect(schema).toMatch('type Post implements Node')
+  expect(page).toMatch('// This file is generated by `gridsome codegen:types`')
+  expect(await fs.exists(path.join(outDir, 'components', 'Plain.d.ts'))).toEqual(false)
+})
+
+test('remove stale declaration files', async () => {
+  const app = await createApp()
+  const stalePath = path.join(outDir, 'pages', 'Removed.d.ts')
+  const customPath = path.join(outDir, 'custom.d.ts')
+
+  await fs.outputFile(stalePath, '// This file is generated by `gridsome codegen:types`. Do not edit.\n')
+  await fs.outputFile(customPath, 'declare const custom: string\n')
+
+  await generateTypes(app, outDir)
+
+  expect(await fs.exists(stalePath)).toEqual(false)
+  expect(await fs.exists(customPath)).toEqual(true)
+})
+
+test('write only the schema without a src directory', async () => {
+  const app = await createApp()
+  const files = await generateTypes({ ...app, context: outDir, schema: app.schema }, outDir)
+
+  expect(files).toEqual([path.join(outDir, 'schema.graphql')])
+})
+
+async function createApp () {
+  const app = await new App(context, {
+    localConfig: {
+      plugins: [
+        function (api) {
+          api.loadSource(store => {
+            store.addContentType({ typeName: 'Post' }).addNode({ id: '1', title: 'Post 1' })
+          })
+        }
+      ]
+    }
+  })
+
+  return app.bootstrap(BOOTSTRAP_GRAPHQL)
+}
@@ -0,0 +1,118 @@
+const { buildSchema } = require('graphql')
+const createTypeDefinitions = require('../codegen/createTypeDefinitions')
+
+const schema = buildSchema(`
+  scalar Date
+  scalar JSON
+
+  enum Status { DRAFT PUBLISHED }
+
+  interface Node { id: ID! }
+
+  type Author implements Node {
+    id: ID!
+    name: String
+  }
+
+  type Post implements Node {
+    id: ID!
+    title: String!
+    date: Date
+    views: Int
+    status: Status
+    fields: JSON
+    tags: [String!]
+    author: Author
+  }
+
+  type PostEdge { node: Post! }
+  type PostConnection { totalCount: Int! edges: [PostEdge!]! }
+
+  type Query {
+    post (id: ID!): Post
+    node (id: ID!): Node
+    allPost: PostConnection!
+  }
+`)
+
+test('create types for scalars, enums and lists', () => {
+  const types = createTypeDefinitions(schema, `query ($id: ID!) {
+    post (id: $id) {
+      id
+      title
+      date
+      views
+      status
+      fields
+      tags
+    }
+  }`, 'Page')
+
+  expect(types).toEqual(`export interface Page {
+  post: {
+    id: string
+    title: string
+    date: string | null
+    views: number | null
+    status: 'DRAFT' | 'PUBLISHED' | null
+    fields: any | null
+    tags: Array<string> | null
+  } | null
+}
+`)
+})
+
+test('create types for aliases and connections', () => {
+  const types = createTypeDefinitions(schema, `query {
+    posts: allPost {
+      totalCount
+      edges { node { id author { name } } }
+    }
+  }`, 'Static')
+
+  expect(types).toEqual(`export interface Static {
+  posts: {
+    totalCount: number
+    edges: Array<{
+      node: {
+        id: string
+        author: {
+          name: string | null
+        } | null
+      }
+    }>
+  }
+}
+`)
+})
+
+test('create types for fragments', () => {
+  const types = createTypeDefinitions(schema, `query {
+    node (id: "1") {
+      __typename
+      id
+      ...PostFields
+      ... on Author { name }
+    }
+  }
+
+  fragment PostFields on Post {
+    title
+  }`, 'Page')
+
+  expect(types).toEqual(`export interface Page {
+  node: {
+    __typename: string
+    id: string
+    title?: string
+    name?: string | null
+  } | null
+}
+`)
+})
+
+test('fail for unknown fields', () => {
+  expect(() => {
+    createTypeDefinitions(schema, `query { post (id: "1") { foo } }`, 'Page')
+  }).toThrow('Cannot query field "foo" on type "Post"')
+})
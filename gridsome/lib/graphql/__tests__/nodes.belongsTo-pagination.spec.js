@@ -185,6 +185,21 @@ test('return specific page within limit with custom perPage', async () => {
   })
 })
 
+test('return nodes after cursor', async () => {
+  const first = await graphql('1', 10, 'first: 4')
+  const { endCursor } = first.data.tag.belongsTo.pageInfo
+  const results = await graphql('1', 10, 'first: 4', `after: "${endCursor}"`)
+  const { edges, pageInfo } = results.data.tag.belongsTo
+
+  expect(edges.map(edge => edge.node.id)).toEqual(['5', '6', '7', '8'])
+  expect(pageInfo).toMatchObject({
+    currentPage: 2,
+    hasPreviousPage: true,
+    hasNextPage: true,
+    endCursor: edges[3].cursor
+  })
+})
+
 async function graphql (id, count, ...args) {
   const defaultSort = 'sort: [{ by: "order", order: ASC }]'
   const argsArr = [...args, defaultSort]
@@ -236,8 +251,10 @@ async function graphql (id, count, ...args) {
           hasNextPage
           isFirst
           isLast
+          endCursor
         }
         edges {
+          cursor
           node {
             ... on Node { id }
           }
@@ -203,6 +203,75 @@ test('filter by multiple reference ids', async () => {
   expect(data.allProduct.edges[1].node.id).toEqual('2')
 })
 
+test('filter nodes with or', async () => {
+  const { errors, data } = await createSchemaAndExecute(`{
+    allProduct (filter: { or: [{ featured: { eq: true } }, { price: { lt: 100 } }] }) {
+      edges { node { id } }
+    }
+  }`)
+
+  expect(errors).toBeUndefined()
+  expect(data.allProduct.edges).toHaveLength(2)
+  expect(data.allProduct.edges[0].node.id).toEqual('3')
+  expect(data.allProduct.edges[1].node.id).toEqual('1')
+})
+
+test('filter nodes with and', async () => {
+  const { errors, data } = await createSchemaAndExecute(`{
+    allProduct (filter: { and: [{ price: { gt: 100 } }, { price: { lt: 150 } }] }) {
+      edges { node { id } }
+    }
+  }`)
+
+  expect(errors).toBeUndefined()
+  expect(data.allProduct.edges).toHaveLength(2)
+  expect(data.allProduct.edges[0].node.id).toEqual('4')
+  expect(data.allProduct.edges[1].node.id).toEqual('3')
+})
+
+test('filter nodes with not', async () => {
+  const { errors, data } = await createSchemaAndExecute(`{
+    allProduct (filter: { not: { tags: { contains: ["two"] } } }) {
+      edges { node { id } }
+    }
+  }`)
+
+  expect(errors).toBeUndefined()
+  expect(data.allProduct.edges).toHaveLength(1)
+  expect(data.allProduct.edges[0].node.id).toEqual('3')
+})
+
+test('reject an empty not filter', async () => {
+  const { errors } = await createSchemaAndExecute(`{
+    allProduct (filter: { not: {} }) {
+      edges { node { id } }
+    }
+  }`)
+
+  expect(errors).toHaveLength(1)
+  expect(errors[0].message).toEqual('The not filter must contain at least one condition.')
+})
+
+test('filter nodes with nested combinators', async () => {
+  const { errors, data } = await createSchemaAndExecute(`{
+    allProduct (filter: {
+      featured: { eq: false },
+      not: {
+        or: [
+          { id: { eq: "1" } },
+          { title: { regex: "^Dojor" } }
+        ]
+      }
+    }) {
+      edges { node { id } }
+    }
+  }`)
+
+  expect(errors).toBeUndefined()
+  expect(data.allProduct.edges).toHaveLength(1)
+  expect(data.allProduct.edges[0].node.id).toEqual('4')
+})
+
 test('handle pagination for filtered nodes', async () => {
   const { errors, data } = await createSchemaAndExecute(`{
     allProduct (perPage: 2, filter: { title: { regex: "Do[l|j]or" } }) {
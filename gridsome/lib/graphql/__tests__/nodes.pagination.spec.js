@@ -185,6 +185,92 @@ test('return specific page within limit with custom perPage', async () => {
   })
 })
 
+test('return first nodes with cursors', async () => {
+  const results = await graphql(10, 'first: 3')
+  const { edges, pageInfo } = results.data.allPost
+
+  expect(edges.map(edge => edge.node.id)).toEqual(['1', '2', '3'])
+  expect(pageInfo).toMatchObject({
+    perPage: 3,
+    totalPages: 4,
+    currentPage: 1,
+    totalItems: 10,
+    hasPreviousPage: false,
+    hasNextPage: true,
+    startCursor: edges[0].cursor,
+    endCursor: edges[2].cursor
+  })
+})
+
+test('return nodes after cursor', async () => {
+  const first = await graphql(10, 'first: 3')
+  const { endCursor } = first.data.allPost.pageInfo
+  const results = await graphql(10, 'first: 3', `after: "${endCursor}"`)
+  const { edges, pageInfo } = results.data.allPost
+
+  expect(edges.map(edge => edge.node.id)).toEqual(['4', '5', '6'])
+  expect(pageInfo).toMatchObject({
+    currentPage: 2,
+    hasPreviousPage: true,
+    hasNextPage: true
+  })
+
+  const next = await graphql(10, 'first: 3', `after: "${pageInfo.endCursor}"`)
+  const rest = await graphql(10, 'first: 3', `after: "${next.data.allPost.pageInfo.endCursor}"`)
+
+  expect(rest.data.allPost.edges.map(edge => edge.node.id)).toEqual(['10'])
+  expect(rest.data.allPost.pageInfo).toMatchObject({
+    hasPreviousPage: true,
+    hasNextPage: false,
+    isLast: true
+  })
+})
+
+test('return last nodes before cursor', async () => {
+  const all = await graphql(10)
+  const { cursor } = all.data.allPost.edges[5]
+  const results = await graphql(10, 'last: 2', `before: "${cursor}"`)
+  const { edges, pageInfo } = results.data.allPost
+
+  expect(edges.map(edge => edge.node.id)).toEqual(['4', '5'])
+  expect(pageInfo).toMatchObject({
+    hasPreviousPage: true,
+    hasNextPage: true
+  })
+
+  const last = await graphql(10, 'last: 2')
+
+  expect(last.data.allPost.edges.map(edge => edge.node.id)).toEqual(['9', '10'])
+  expect(last.data.allPost.pageInfo.hasNextPage).toEqual(false)
+})
+
+test('include cursors in paged results', async () => {
+  const paged = await graphql(10, 'page: 2', 'perPage: 3')
+  const { endCursor } = paged.data.allPost.pageInfo
+  const results = await graphql(10, 'first: 2', `after: "${endCursor}"`)
+
+  expect(paged.data.allPost.edges.map(edge => edge.node.id)).toEqual(['4', '5', '6'])
+  expect(results.data.allPost.edges.map(edge => edge.node.id)).toEqual(['7', '8'])
+})
+
+test('fail on invalid cursor arguments', async () => {
+  const invalidCursor = await graphql(10, 'first: 2', 'after: "invalid"')
+  const withPage = await graphql(10, 'first: 2', 'page: 2')
+  const negative = await graphql(10, 'first: -1')
+  const withSkip = await graphql(10, 'first: 2', 'skip: 2')
+  const withLimit = await graphql(10, 'last: 2', 'limit: 5')
+  const withPerPage = await graphql(10, 'first: 2', 'perPage: 5')
+  const withDefaults = await graphql(10, 'first: 2', 'skip: 0')
+
+  expect(invalidCursor.errors[0].message).toEqual('Invalid cursor: invalid')
+  expect(withPage.errors[0].message).toMatch('cannot be combined with cursor arguments')
+  expect(withSkip.errors[0].message).toMatch('cannot be combined with cursor arguments')
+  expect(withLimit.errors[0].message).toMatch('cannot be combined with cursor arguments')
+  expect(withPerPage.errors[0].message).toMatch('cannot be combined with cursor arguments')
+  expect(withDefaults.errors).toBeUndefined()
+  expect(negative.errors[0].message).toMatch('must be positive integers')
+})
+
 async function graphql (count, ...args) {
   const defaultSort = 'sort: [{ by: "order", order: ASC }]'
   const argsArr = [...args, defaultSort]
@@ -219,8 +305,11 @@ async function graphql (count, ...args) {
         hasNextPage
         isFirst
         isLast
+        startCursor
+        endCursor
       }
       edges {
+        cursor
         node { id }
       }
     }
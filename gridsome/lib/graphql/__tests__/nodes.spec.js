@@ -225,6 +225,24 @@ test('get nodes by path regex', async () => {
   expect(data.allTestPost.edges.length).toEqual(2)
 })
 
+test('filter connection by locale', async () => {
+  const posts = api.store.addContentType('TestPost')
+
+  posts.addNode({ id: '1', locale: 'en' })
+  posts.addNode({ id: '2', locale: 'de' })
+  posts.addNode({ id: '3', locale: 'de' })
+
+  const { errors, data } = await createSchemaAndExecute(`{
+    allTestPost (locale: "de") {
+      edges { node { id } }
+    }
+  }`)
+
+  expect(errors).toBeUndefined()
+  expect(data.allTestPost.edges).toHaveLength(2)
+  expect(data.allTestPost.edges[0].node.id).toEqual('3')
+})
+
 test('create node reference', async () => {
   const authors = api.store.addContentType('TestAuthor')
 
@@ -750,6 +768,98 @@ test('collection.addSchemaField', async () => {
   expect(data.testPost.myField).toEqual('my-custom-value')
 })
 
+test('declare field types with type definitions', async () => {
+  const authors = api.store.addContentType('TestAuthor')
+  const posts = api.store.addContentType({
+    typeName: 'TestPost',
+    fields: {
+      title: 'String!',
+      subtitle: 'String',
+      price: { type: 'Float', description: 'Price in USD' },
+      tags: '[String]',
+      published: 'Date',
+      author: 'TestAuthor',
+      coauthors: '[TestAuthor]'
+    }
+  })
+
+  posts.addSchemaField('views', 'Int')
+
+  authors.addNode({ id: '1', name: 'Author 1' })
+  authors.addNode({ id: '2', name: 'Author 2' })
+
+  posts.addNode({ id: '1', title: 'Post 1', price: 10, author: '1', coauthors: ['1', '2'] })
+  posts.addNode({ id: '2', title: 'Post 2', price: '10.5', published: '2018-10-10' })
+
+  const { errors, data } = await createSchemaAndExecute(`{
+    post1: testPost (id: "1") {
+      subtitle views tags price published
+      author { name }
+      coauthors { name }
+    }
+    post2: testPost (id: "2") {
+      price
+      published (format: "DD/MM/YYYY")
+    }
+    allTestPost (filter: { subtitle: { eq: null }, views: { gt: 1 } }) {
+      totalCount
+    }
+  }`)
+
+  expect(errors).toBeUndefined()
+  expect(data.post1.subtitle).toBeNull()
+  expect(data.post1.views).toBeNull()
+  expect(data.post1.tags).toHaveLength(0)
+  expect(data.post1.price).toEqual(10)
+  expect(data.post1.published).toBeNull()
+  expect(data.post1.author.name).toEqual('Author 1')
+  expect(data.post1.coauthors).toHaveLength(2)
+  expect(data.post1.coauthors[1].name).toEqual('Author 2')
+  expect(data.post2.price).toEqual(10.5)
+  expect(data.post2.published).toEqual('10/10/2018')
+  expect(data.allTestPost.totalCount).toEqual(0)
+
+  const schema = createSchema(app.store)
+  const fields = schema.getType('TestPost').getFields()
+
+  expect(String(fields.title.type)).toEqual('String!')
+  expect(fields.price.description).toEqual('Price in USD')
+})
+
+test('throw for invalid type definitions', () => {
+  const posts = api.store.addContentType('TestPost')
+
+  expect(() => posts.addSchemaField('title', 'String!!')).toThrow('Invalid type "String!!"')
+  expect(() => posts.addSchemaField('tags', '[[String]]')).toThrow('Nested lists')
+
+  posts.addSchemaField('author', 'UnknownType')
+
+  expect(() => createSchema(app.store)).toThrow('Unknown type "UnknownType"')
+})
+
+test('validate node fields in strict mode', () => {
+  const posts = api.store.addContentType({
+    typeName: 'TestPost',
+    strict: true,
+    fields: {
+      title: 'String!',
+      price: 'Int',
+      tags: '[String]'
+    }
+  })
+
+  posts.addNode({ id: '1', title: 'Post 1', price: 10, tags: ['a'] })
+
+  expect(() => posts.addNode({ id: '2' }))
+    .toThrow('Field "title" on TestPost node "2" is required.')
+  expect(() => posts.addNode({ id: '3', title: 'Post 3', price: '10' }))
+    .toThrow('Field "price" on TestPost node "3" must be of type Int.')
+  expect(() => posts.addNode({ id: '4', title: 'Post 4', tags: 'a' }))
+    .toThrow('Field "tags" on TestPost node "4" must be of type [String].')
+  expect(() => posts.updateNode({ id: '1', price: 10.5 }))
+    .toThrow('Field "price" on TestPost node "1" must be of type Int.')
+})
+
 test('transformer extends node type', async () => {
   const posts = api.store.addContentType('TestPost')
 
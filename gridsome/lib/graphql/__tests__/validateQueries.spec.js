@@ -0,0 +1,73 @@
+const path = require('path')
+const App = require('../../app/App')
+const validateQueries = require('../validateQueries')
+const { BOOTSTRAP_GRAPHQL } = require('../../utils/constants')
+
+const context = path.join(__dirname, '__fixtures__', 'project-queries')
+
+test('report invalid queries with component locations', async () => {
+  const app = await createApp()
+  const { errors } = await validateQueries(app)
+
+  expect(errors).toHaveLength(2)
+
+  expect(errors).toContainEqual({
+    component: path.join(context, 'src', 'pages', 'Invalid.vue'),
+    type: 'page-query',
+    message: 'Cannot query field "invalid" on type "Post".',
+    location: { line: 9, column: 5 }
+  })
+
+  expect(errors).toContainEqual({
+    component: path.join(context, 'src', 'components', 'Broken.vue'),
+    type: 'static-query',
+    message: 'Syntax Error: Expected Name, found <EOF>',
+    location: { line: 8, column: 1 }
+  })
+})
+
+test('warn about deprecated fields and arguments', async () => {
+  const app = await createApp()
+  const { warnings } = await validateQueries(app)
+  const component = path.join(context, 'src', 'pages', 'Deprecated.vue')
+
+  expect(warnings.map(({ message, location }) => ({ message, location }))).toEqual([
+    {
+      message: 'The argument post(_id) is deprecated. Use id instead.',
+      location: { line: 7, column: 9 }
+    },
+    {
+      message: 'The field Post._id is deprecated. Use id instead.',
+      location: { line: 8, column: 5 }
+    },
+    {
+      message: 'The argument allPost(regex) is deprecated. Use filter instead.',
+      location: { line: 10, column: 12 }
+    }
+  ])
+
+  expect(warnings.every(entry => entry.component === component)).toEqual(true)
+})
+
+test('fail in strict mode', async () => {
+  await expect(createApp({ strict: true })).rejects.toThrow(
+    'Query validation failed with 2 error(s) and 3 warning(s).'
+  )
+})
+
+async function createApp (args = {}) {
+  const app = await new App(context, {
+    args,
+    localConfig: {
+      plugins: [
+        function (api) {
+          api.loadSource(store => {
+            store.addContentType({ typeName: 'Post' }).addNode({ id: '1', title: 'Post 1' })
+          })
+        }
+      ]
+    }
+  })
+
+  return app.bootstrap(BOOTSTRAP_GRAPHQL)
+}
@@ -0,0 +1,154 @@
+const {
+  Kind,
+  parse,
+  isEnumType,
+  isListType,
+  isUnionType,
+  isScalarType,
+  isNonNullType,
+  GraphQLString,
+  GraphQLNonNull
+} = require('graphql')
+
+const scalarTypes = {
+  ID: 'string',
+  Int: 'number',
+  Float: 'number',
+  String: 'string',
+  Boolean: 'boolean',
+  Date: 'string'
+}
+
+// Creates a TypeScript interface for the result of a query.
+function createTypeDefinitions (schema, source, name) {
+  const document = typeof source === 'string' ? parse(source) : source
+  const context = { schema, fragments: {}}
+  let operation = null
+
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      context.fragments[definition.name.value] = definition
+    } else if (definition.kind === Kind.OPERATION_DEFINITION && !operation) {
+      operation = definition
+    }
+  }
+
+  if (!operation) {
+    throw new Error(`Found no query operation for the ${name} type.`)
+  }
+
+  const type = schema.getQueryType()
+
+  return `export interface ${name} ${createObjectType(type, operation.selectionSet, context)}\n`
+}
+
+function createObjectType (type, selectionSet, context, depth = 0) {
+  const indent = '  '.repeat(depth + 1)
+  const fields = collectFields(type, selectionSet, context)
+
+  if (!fields.length) return '{}'
+
+  const lines = fields.map(field => {
+    const optional = field.optional ? '?' : ''
+    const typeString = createType(field.type, field.selectionSet, context, depth + 1)
+
+    return `${indent}${field.key}${optional}: ${typeString}`
+  })
+
+  return `{\n${lines.join('\n')}\n${'  '.repeat(depth)}}`
+}
+
+// Fields from fragments on other types than the
+// parent type will only exist for some results.
+function collectFields (type, selectionSet, context, optional = false, fields = new Map()) {
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      const fieldName = selection.name.value
+      const key = selection.alias ? selection.alias.value : fieldName
+      const fieldType = getFieldType(type, fieldName)
+      const existing = fields.get(key)
+
+      if (existing) {
+        existing.optional = existing.optional && optional
+
+        if (selection.selectionSet) {
+          existing.selectionSet = {
+            kind: Kind.SELECTION_SET,
+            selections: existing.selectionSet.selections.concat(
+              selection.selectionSet.selections
+            )
+          }
+        }
+      } else {
+        fields.set(key, {
+          key,
+          optional,
+          type: fieldType,
+          selectionSet: selection.selectionSet
+        })
+      }
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+        ? context.fragments[selection.name.value]
+        : selection
+
+      if (!fragment) {
+        throw new Error(`Unknown fragment "${selection.name.value}".`)
+      }
+
+      const fragmentType = fragment.typeCondition
+        ? context.schema.getType(fragment.typeCondition.name.value)
+        : type
+
+      collectFields(
+        fragmentType,
+        fragment.selectionSet,
+        context,
+        optional || fragmentType !== type,
+        fields
+      )
+    }
+  }
+
+  return Array.from(fields.values())
+}
+
+function getFieldType (type, fieldName) {
+  if (fieldName === '__typename') {
+    return new GraphQLNonNull(GraphQLString)
+  }
+
+  const fields = isUnionType(type) ? {} : type.getFields()
+
+  if (!fields[fieldName]) {
+    throw new Error(`Cannot query field "${fieldName}" on type "${type.name}".`)
+  }
+
+  return fields[fieldName].type
+}
+
+function createType (type, selectionSet, context, depth) {
+  if (isNonNullType(type)) {
+    return createNonNullType(type.ofType, selectionSet, context, depth)
+  }
+
+  return `${createNonNullType(type, selectionSet, context, depth)} | null`
+}
+
+function createNonNullType (type, selectionSet, context, depth) {
+  if (isListType(type)) {
+    return `Array<${createType(type.ofType, selectionSet, context, depth)}>`
+  }
+
+  if (isScalarType(type)) {
+    return scalarTypes[type.name] || 'any'
+  }
+
+  if (isEnumType(type)) {
+    return type.getValues().map(value => `'${value.name}'`).join(' | ')
+  }
+
+  return createObjectType(type, selectionSet, context, depth)
+}
+
+module.exports = createTypeDefinitions
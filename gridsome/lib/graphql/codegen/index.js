@@ -0,0 +1,91 @@
+const path = require('path')
+const fs = require('fs-extra')
+const globby = require('globby')
+const { printSchema } = require('graphql')
+const { warn } = require('../../utils/log')
+const createTypeDefinitions = require('./createTypeDefinitions')
+const validate = require('../../plugins/vue-components/lib/validate')
+
+const HEADER = '// This file is generated by `gridsome codegen:types`. Do not edit.'
+
+// Writes a schema.graphql file and a .d.ts file for each component
+// in src with a <page-query> or <static-query>. The declaration
+// files describe the $page and $static results.
+async function generateTypes (app, outDir = app.config.typesDir) {
+  const srcDir = path.join(app.context, 'src')
+  const files = await fs.exists(srcDir)
+    ? await globby('**/*.vue', { cwd: srcDir, absolute: true })
+    : []
+  const written = [path.join(outDir, 'schema.graphql')]
+
+  await outputFile(written[0], printSchema(app.schema) + '\n')
+
+  for (const file of files) {
+    const { pageQuery, staticQuery } = app.parser.parse(file, false)
+    const relPath = path.relative(srcDir, file)
+    const definitions = []
+
+    const blocks = [
+      { name: 'Page', source: pageQuery },
+      { name: 'Static', source: staticQuery }
+    ]
+
+    for (const { name, source: query } of blocks) {
+      if (!query || !query.trim()) continue
+
+      const source = app.fragments.attach(query)
+
+      try {
+        const errors = validate(app.schema, source)
+
+        if (errors.length) {
+          throw new Error(errors[0].message)
+        }
+
+        definitions.push(createTypeDefinitions(app.schema, source, name))
+      } catch (err) {
+        warn(`Failed to create types for ${relPath}: ${err.message}`)
+      }
+    }
+
+    if (definitions.length) {
+      const filePath = path.join(outDir, relPath.replace(/\.vue$/, '.d.ts'))
+      const content = `${HEADER}\n\n${definitions.join('\n')}`
+
+      await outputFile(filePath, content)
+
+      written.push(filePath)
+    }
+  }
+
+  await removeStaleFiles(outDir, written)
+
+  return written
+}
+
+// Prevents file watchers from reacting to unchanged files.
+async function outputFile (filePath, content) {
+  if (await fs.exists(filePath)) {
+    if (await fs.readFile(filePath, 'utf8') === content) return
+  }
+
+  await fs.outputFile(filePath, content)
+}
+
+async function removeStaleFiles (outDir, written) {
+  if (!await fs.exists(outDir)) return
+
+  const files = await globby('**/*.d.ts', { cwd: outDir, absolute: true })
+
+  for (const file of files.map(file => path.normalize(file))) {
+    if (written.includes(file)) continue
+
+    const content = await fs.readFile(file, 'utf8')
+
+    if (content.startsWith(HEADER)) {
+      await fs.remove(file)
+    }
+  }
+}
+
+module.exports = generateTypes
@@ -0,0 +1,253 @@
+const GraphQLJSON = require('graphql-type-json')
+const { isPlainObject, isString, isNumber, isInteger } = require('lodash')
+const { isDate, dateType } = require('./types/date')
+const { fileType } = require('./types/file')
+const { imageType } = require('./types/image')
+const { isRefField } = require('./utils')
+const { fieldResolver, createRefResolver } = require('./resolvers')
+
+const {
+  Kind,
+  parseType,
+  GraphQLID,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLFloat,
+  GraphQLString,
+  GraphQLNonNull,
+  GraphQLBoolean
+} = require('graphql')
+
+const scalarTypes = {
+  ID: GraphQLID,
+  Int: GraphQLInt,
+  Float: GraphQLFloat,
+  String: GraphQLString,
+  Boolean: GraphQLBoolean,
+  JSON: GraphQLJSON
+}
+
+const customTypes = {
+  Date: dateType,
+  File: fileType,
+  Image: imageType
+}
+
+// values used to generate filter input types
+const sampleValues = {
+  ID: '',
+  Int: 0,
+  Float: 0.5,
+  String: '',
+  Boolean: false,
+  Date: '1970-01-01',
+  File: '',
+  Image: ''
+}
+
+function parseTypeDefinition (value, fieldName = '') {
+  const options = typeof value === 'string' ? { type: value } : value
+
+  if (!isPlainObject(options) || typeof options.type !== 'string') {
+    return null
+  }
+
+  let typeNode
+
+  try {
+    typeNode = parseType(options.type)
+  } catch (err) {
+    throw new Error(`Invalid type "${options.type}" for field ${fieldName}. ${err.message}`)
+  }
+
+  const result = {
+    description: options.description,
+    isRequired: typeNode.kind === Kind.NON_NULL_TYPE,
+    isList: false,
+    typeName: null,
+    typeNode
+  }
+
+  let node = result.isRequired ? typeNode.type : typeNode
+
+  if (node.kind === Kind.LIST_TYPE) {
+    result.isList = true
+    node = node.type.kind === Kind.NON_NULL_TYPE ? node.type.type : node.type
+  }
+
+  if (node.kind !== Kind.NAMED_TYPE) {
+    throw new Error(`Nested lists are not supported for field ${fieldName}.`)
+  }
+
+  result.typeName = node.name.value
+
+  return result
+}
+
+function createDeclaredFieldTypes (contentType, nodeTypes) {
+  const { fields } = contentType.options
+  const types = {}
+
+  for (const fieldName in fields) {
+    const definition = parseTypeDefinition(fields[fieldName], fieldName)
+
+    if (definition) {
+      types[fieldName] = createDeclaredFieldType(definition, fieldName, nodeTypes)
+    }
+  }
+
+  return types
+}
+
+function createDeclaredFieldType (definition, fieldName, nodeTypes) {
+  const { typeName, isList, description } = definition
+  const field = createNamedField(definition, fieldName, nodeTypes)
+  const type = wrapType(definition.typeNode, field.type)
+
+  if (customTypes.hasOwnProperty(typeName) && isList) {
+    return {
+      ...field,
+      type,
+      description,
+      resolve: (obj, args, context, info) => {
+        const values = fieldResolver(obj, args, context, info)
+
+        return Array.isArray(values)
+          ? Promise.all(values.map(value => {
+            return field.resolve({ [fieldName]: value }, args, context, info)
+          }))
+          : []
+      }
+    }
+  }
+
+  if (isList && !nodeTypes.hasOwnProperty(typeName)) {
+    return {
+      type,
+      description,
+      resolve: (obj, args, context, info) => {
+        const value = fieldResolver(obj, args, context, info)
+        return Array.isArray(value) ? value : []
+      }
+    }
+  }
+
+  return { ...field, type, description }
+}
+
+function createNamedField ({ typeName, isList }, fieldName, nodeTypes) {
+  if (scalarTypes.hasOwnProperty(typeName)) {
+    return { type: scalarTypes[typeName], resolve: fieldResolver }
+  }
+
+  if (customTypes.hasOwnProperty(typeName)) {
+    return customTypes[typeName]
+  }
+
+  if (nodeTypes.hasOwnProperty(typeName)) {
+    const resolve = createRefResolver({ typeName, isList })
+
+    return {
+      type: nodeTypes[typeName],
+      resolve: (obj, args, context, info) => {
+        const value = obj[fieldName]
+        const isRef = isRefField(value) || (
+          Array.isArray(value) && value.length && isRefField(value[0])
+        )
+
+        return resolve({
+          [fieldName]: isRef || !value ? value : { typeName, id: value }
+        }, args, context, info)
+      }
+    }
+  }
+
+  throw new Error(`Unknown type "${typeName}" for field ${fieldName}.`)
+}
+
+function wrapType (typeNode, namedType) {
+  switch (typeNode.kind) {
+    case Kind.NON_NULL_TYPE:
+      return new GraphQLNonNull(wrapType(typeNode.type, namedType))
+    case Kind.LIST_TYPE:
+      return new GraphQLList(wrapType(typeNode.type, namedType))
+  }
+
+  return namedType
+}
+
+// Merges declared fields with the inferred field definitions to
+// let filters and sort options exist even without any data.
+function createDeclaredFieldDefinitions (contentType, fields = {}) {
+  const declared = contentType.options.fields
+  const definitions = { ...fields }
+
+  for (const fieldName in declared) {
+    const definition = parseTypeDefinition(declared[fieldName], fieldName)
+
+    if (!definition) continue
+
+    const { typeName, isList } = definition
+
+    if (sampleValues.hasOwnProperty(typeName)) {
+      const value = sampleValues[typeName]
+      definitions[fieldName] = isList ? [value] : value
+    } else if (typeName === 'JSON') {
+      delete definitions[fieldName]
+    } else if (!fields.hasOwnProperty(fieldName)) {
+      definitions[fieldName] = isList ? [''] : ''
+    }
+  }
+
+  return definitions
+}
+
+function validateDeclaredFields (contentType, node) {
+  const { fields } = contentType.options
+
+  for (const fieldName in fields) {
+    const definition = parseTypeDefinition(fields[fieldName], fieldName)
+
+    if (!definition) continue
+
+    const { typeName, isList, isRequired } = definition
+    const value = node[fieldName]
+    const typeString = fields[fieldName].type || fields[fieldName]
+    const message = `Field "${fieldName}" on ${contentType.typeName} node "${node.id}"`
+
+    if (value === undefined || value === null) {
+      if (isRequired) throw new Error(`${message} is required.`)
+      continue
+    }
+
+    if (
+      (isList && !Array.isArray(value)) ||
+      (isList ? value : [value]).some(value => !isValidValue(typeName, value))
+    ) {
+      throw new Error(`${message} must be of type ${typeString}.`)
+    }
+  }
+}
+
+function isValidValue (typeName, value) {
+  switch (typeName) {
+    case 'ID': return isString(value) || isNumber(value)
+    case 'Int': return isInteger(value)
+    case 'Float': return isNumber(value)
+    case 'Boolean': return typeof value === 'boolean'
+    case 'Date': return isDate(value) || value instanceof Date
+    case 'JSON': return true
+    case 'String':
+    case 'File':
+    case 'Image': return isString(value)
+  }
+
+  return isString(value) || isNumber(value) || isRefField(value)
+}
+
+module.exports = {
+  parseTypeDefinition,
+  createDeclaredFieldTypes,
+  createDeclaredFieldDefinitions,
+  validateDeclaredFields
+}
@@ -8,6 +8,7 @@ const {
   GraphQLFloat,
   GraphQLString,
   GraphQLBoolean,
+  GraphQLNonNull,
   GraphQLInputObjectType
 } = require('graphql')
 
@@ -28,6 +29,22 @@ function createFilterTypes (fields, typeName) {
   return types
 }
 
+// Creates a *Filters input type with and, or and not combinators.
+function createFiltersType ({ name, description, fields }) {
+  const type = new GraphQLInputObjectType({
+    name,
+    description,
+    fields: () => ({
+      ...fields,
+      and: { type: new GraphQLList(new GraphQLNonNull(type)), description: desc.and },
+      or: { type: new GraphQLList(new GraphQLNonNull(type)), description: desc.or },
+      not: { type, description: desc.not }
+    })
+  })
+
+  return type
+}
+
 function createFilterType (value, fieldName, typeName) {
   const defaultDescription = `Filter ${typeName} nodes by ${fieldName}`
 
@@ -173,6 +190,7 @@ function createFilterQuery (filter, fields) {
 
 function toFilterArgs (filter, fields, current = '') {
   const result = {}
+  const clauses = []
 
   for (const key in filter) {
     const newKey = current ? `${current}.${key}` : key
@@ -180,6 +198,16 @@ function toFilterArgs (filter, fields, current = '') {
 
     if (value === undefined) continue
 
+    if (!current && logicalKeys.includes(key)) {
+      const queries = [].concat(value).map(filter => toFilterArgs(filter, fields))
+
+      if (key === 'and') clauses.push(...queries)
+      else if (key === 'or') clauses.push({ $or: queries })
+      else clauses.push(...queries.map(negateQuery))
+
+      continue
+    }
+
     if (fields[key].type.name.endsWith(OBJ_SUFFIX)) {
       Object.assign(result, toFilterArgs(value, fields[key].type.getFields(), newKey))
     } else if (fields[key].type.name.endsWith(REF_SUFFIX)) {
@@ -189,9 +217,38 @@ function toFilterArgs (filter, fields, current = '') {
     }
   }
 
+  if (clauses.length) {
+    result.$and = clauses
+  }
+
   return result
 }
 
+// Loki only supports $not on field level, so the query is
+// negated with De Morgan's laws until it reaches the fields.
+function negateQuery (query) {
+  const clauses = []
+
+  for (const key in query) {
+    if (key === '$and') {
+      clauses.push({ $or: query.$and.map(negateQuery) })
+    } else if (key === '$or') {
+      clauses.push({ $and: query.$or.map(negateQuery) })
+    } else {
+      for (const op in query[key]) {
+        clauses.push({ [key]: { $not: { [op]: query[key][op] }}})
+      }
+    }
+  }
+
+  // an empty query would still match every node
+  if (!clauses.length) {
+    throw new Error('The not filter must contain at least one condition.')
+  }
+
+  return clauses.length > 1 ? { $or: clauses } : clauses[0]
+}
+
 function convertFilterValues (value) {
   return reduce(value, (acc, value, key) => {
     const filterKey = `$${key}`
@@ -203,7 +260,12 @@ function convertFilterValues (value) {
   }, {})
 }
 
+const logicalKeys = ['and', 'or', 'not']
+
 const desc = {
+  and: 'Filter nodes matching all of the provided filters.',
+  or: 'Filter nodes matching any of the provided filters.',
+  not: 'Filter nodes not matching the provided filter.',
   eq: 'Filter nodes by property of (strict) equality.',
   ne: 'Filter nodes by property not equal to provided value.',
   dteq: 'Filter nodes by date property equal to provided date value.',
@@ -223,6 +285,7 @@ const desc = {
 }
 
 module.exports = {
+  createFiltersType,
   createFilterTypes,
   createFilterQuery
 }
@@ -12,34 +12,75 @@ async function executeQueries (renderQueue, app) {
 
   let count = 0
   let group = 0
+  let cached = 0
 
   const res = await pMap(renderQueue, async entry => {
-    if (!entry.query && isEmpty(entry.context)) {
+    const hasStaticQueries = app.staticQueries.findQueries(entry.component).length > 0
+
+    if (!entry.query && isEmpty(entry.context) && !hasStaticQueries) {
       return entry
     }
 
     if (count % (groupSize - 1) === 0) group++
     count++
 
-    const results = entry.query
-      ? await app.graphql(entry.query.document, entry.query.variables)
-      : {}
+    const queryTimer = hirestime()
+    let data = await app.buildManifest.readQueryData(entry)
+
+    if (!data) {
+      const results = entry.query
+        ? await app.graphql(entry.query.document, entry.query.variables)
+        : {}
+
+      if (results.errors) {
+        const relPath = path.relative(app.context, entry.component)
+        const queryTime = queryTimer(hirestime.MS)
+        error(`An error occurred while executing page-query for ${relPath}\n`)
+        return { ...entry, errors: results.errors, queryTime }
+      }
+
+      data = { data: results.data || null, context: entry.context }
+
+      const staticResults = await app.staticQueries.execute({
+        component: entry.component,
+        queryVariables: entry.node,
+        context: entry.context
+      }, entry.query ? entry.query.variables.page : undefined)
 
-    if (results.errors) {
-      const relPath = path.relative(app.context, entry.component)
-      error(`An error occurred while executing page-query for ${relPath}\n`)
-      throw new Error(results.errors[0])
+      if (staticResults.errors) {
+        const relPath = path.relative(app.context, staticResults.component)
+        const queryTime = queryTimer(hirestime.MS)
+        error(`An error occurred while executing static-query for ${relPath}\n`)
+        return { ...entry, errors: staticResults.errors, queryTime }
+      }
+
+      if (staticResults.data) {
+        data.static = staticResults.data
+      }
+    } else {
+      cached++
     }
 
-    const data = { data: results.data || null, context: entry.context }
+    const queryTime = queryTimer(hirestime.MS)
     const hash = hashSum(data)
     const dataInfo = { group, hash }
     const dataOutput = path.join(app.config.assetsDir, 'data', `${group}/${hash}.json`)
 
-    return { ...entry, dataOutput, data, dataInfo }
+    return { ...entry, dataOutput, data, dataInfo, queryTime }
   }, { concurrency: sysinfo.cpus.physical })
 
-  info(`Execute GraphQL (${count} queries) - ${timer(hirestime.S)}s`)
+  const failed = res.find(entry => entry.errors)
+
+  // let the build report include all failed queries
+  if (failed) {
+    const err = new Error(failed.errors[0])
+    err.renderQueue = res
+    throw err
+  }
+
+  const cachedInfo = cached ? `, ${cached} cached` : ''
+
+  info(`Execute GraphQL (${count} queries${cachedInfo}) - ${timer(hirestime.S)}s`)
 
   return res
 }
@@ -10,6 +10,7 @@ const {
 } = require('./utils')
 
 const {
+  createFiltersType,
   createFilterTypes,
   createFilterQuery
 } = require('../createFilterTypes')
@@ -36,6 +37,7 @@ module.exports = function createBelongsTo (contentType, nodeTypes) {
     name: `${contentType.typeName}BelongsToEdge`,
     fields: () => ({
       node: { type: belongsToUnionType },
+      cursor: { type: new GraphQLNonNull(GraphQLString) },
       next: { type: belongsToUnionType },
       previous: { type: belongsToUnionType }
     })
@@ -66,7 +68,11 @@ module.exports = function createBelongsTo (contentType, nodeTypes) {
     skip: { type: GraphQLInt, defaultValue: 0 },
     limit: { type: GraphQLInt },
     page: { type: GraphQLInt },
-    sort: { type: new GraphQLList(sortType) }
+    sort: { type: new GraphQLList(sortType) },
+    first: { type: GraphQLInt, description: 'Returns the first n nodes.' },
+    after: { type: GraphQLString, description: 'Returns nodes after the cursor.' },
+    last: { type: GraphQLInt, description: 'Returns the last n nodes.' },
+    before: { type: GraphQLString, description: 'Returns nodes before the cursor.' }
   }
 
   const filterPrefix = `${contentType.typeName}BelongsToFilter`
@@ -74,7 +80,7 @@ module.exports = function createBelongsTo (contentType, nodeTypes) {
 
   belongsToArgs.filter = {
     description: `Filter for ${contentType.typeName} nodes.`,
-    type: new GraphQLInputObjectType({
+    type: createFiltersType({
       name: `${contentType.typeName}BelongsToFilters`,
       fields: {
         ...filterArgs,
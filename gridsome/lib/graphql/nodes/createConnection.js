@@ -1,6 +1,6 @@
 const { PER_PAGE } = require('../../utils/constants')
 const { pageInfoType, sortOrderType, sortType } = require('../types')
-const { createFilterTypes, createFilterQuery } = require('../createFilterTypes')
+const { createFiltersType, createFilterTypes, createFilterQuery } = require('../createFilterTypes')
 const { createPagedNodeEdges, createSortOptions } = require('./utils')
 
 const {
@@ -8,8 +8,7 @@ const {
   GraphQLList,
   GraphQLString,
   GraphQLNonNull,
-  GraphQLObjectType,
-  GraphQLInputObjectType
+  GraphQLObjectType
 } = require('graphql')
 
 module.exports = ({ contentType, nodeType, fields }) => {
@@ -17,6 +16,7 @@ module.exports = ({ contentType, nodeType, fields }) => {
     name: `${nodeType.name}Edge`,
     fields: () => ({
       node: { type: nodeType },
+      cursor: { type: new GraphQLNonNull(GraphQLString) },
       next: { type: nodeType },
       previous: { type: nodeType }
     })
@@ -41,6 +41,11 @@ module.exports = ({ contentType, nodeType, fields }) => {
     limit: { type: GraphQLInt },
     page: { type: GraphQLInt },
     sort: { type: new GraphQLList(sortType) },
+    first: { type: GraphQLInt, description: 'Returns the first n nodes.' },
+    after: { type: GraphQLString, description: 'Returns nodes after the cursor.' },
+    last: { type: GraphQLInt, description: 'Returns the last n nodes.' },
+    before: { type: GraphQLString, description: 'Returns nodes before the cursor.' },
+    locale: { type: GraphQLString, description: 'Filter nodes by locale.' },
 
     // TODO: remove before 1.0
     regex: { type: GraphQLString, deprecationReason: 'Use filter instead.' }
@@ -48,7 +53,7 @@ module.exports = ({ contentType, nodeType, fields }) => {
 
   connectionArgs.filter = {
     description: `Filter for ${nodeType.name} nodes.`,
-    type: new GraphQLInputObjectType({
+    type: createFiltersType({
       name: `${nodeType.name}Filters`,
       fields: createFilterTypes({ ...fields, id: '' }, `${nodeType.name}Filter`)
     })
@@ -58,7 +63,7 @@ module.exports = ({ contentType, nodeType, fields }) => {
     type: connectionType,
     args: connectionArgs,
     description: `Connection to all ${nodeType.name} nodes`,
-    async resolve (_, { regex, filter, ...args }, { store }) {
+    async resolve (_, { regex, filter, locale, ...args }, { store }) {
       const { collection } = store.getContentType(nodeType.name)
       const sort = createSortOptions(args)
       const query = {}
@@ -77,6 +82,10 @@ module.exports = ({ contentType, nodeType, fields }) => {
         Object.assign(query, createFilterQuery(filter, fields))
       }
 
+      if (locale) {
+        query.locale = locale
+      }
+
       const chain = collection.chain().find(query)
 
       return createPagedNodeEdges(chain, args, sort)
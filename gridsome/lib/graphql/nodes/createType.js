@@ -3,6 +3,7 @@ const { nodeInterface } = require('../interfaces')
 const createBelongsTo = require('./createBelongsTo')
 const { createRefResolver } = require('../resolvers')
 const { createFieldTypes, createRefType } = require('../createFieldTypes')
+const { createDeclaredFieldTypes } = require('../createDeclaredTypes')
 const { mapValues, isEmpty } = require('lodash')
 
 const {
@@ -19,7 +20,10 @@ module.exports = ({ contentType, nodeTypes, fields }) => {
     interfaces: [nodeInterface],
     isTypeOf: node => node.internal.typeName === contentType.typeName,
     fields: () => {
-      const fieldTypes = createFieldTypes(fields, contentType.typeName, nodeTypes)
+      const fieldTypes = {
+        ...createFieldTypes(fields, contentType.typeName, nodeTypes),
+        ...createDeclaredFieldTypes(contentType, nodeTypes)
+      }
       const refs = createRefs(contentType, nodeTypes, fieldTypes)
 
       const nodeFields = {
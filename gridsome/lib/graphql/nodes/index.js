@@ -3,6 +3,7 @@ const createType = require('./createType')
 const createQuery = require('./createQuery')
 const createConnection = require('./createConnection')
 const createFieldDefinitions = require('../createFieldDefinitions')
+const { createDeclaredFieldDefinitions } = require('../createDeclaredTypes')
 
 module.exports = store => {
   const connections = {}
@@ -11,7 +12,10 @@ module.exports = store => {
 
   for (const typeName in store.collections) {
     const contentType = store.getContentType(typeName)
-    const fields = createFieldDefinitions(contentType.collection.find())
+    const fields = createDeclaredFieldDefinitions(
+      contentType,
+      createFieldDefinitions(contentType.collection.find())
+    )
 
     const nodeType = nodeTypes[typeName] = createType({
       contentType,
@@ -14,6 +14,10 @@ exports.createBelongsToKey = function (node) {
 }
 
 exports.createPagedNodeEdges = function (chain, args = {}, sort = []) {
+  if (isCursorPaged(args)) {
+    return createCursorNodeEdges(chain, args, sort)
+  }
+
   let { limit: limitArg, perPage: perPageArg } = args
   const isPaged = typeof args.page !== 'undefined'
 
@@ -38,15 +42,13 @@ exports.createPagedNodeEdges = function (chain, args = {}, sort = []) {
 
   chain = applySort(chain, sort)
 
-  if (isPaged) {
-    chain = chain.offset(((page - 1) * perPage) + skip)
-    chain = chain.limit(perPage)
-  } else {
-    chain = chain.offset(skip)
-    chain = chain.limit(limit)
-  }
+  const offset = isPaged ? ((page - 1) * perPage) + skip : skip
+
+  chain = chain.offset(offset)
+  chain = chain.limit(isPaged ? perPage : limit)
 
   const nodes = chain.data()
+  const edges = createEdges(nodes, offset)
   const currentPage = page
   const totalPages = Math.max(Math.ceil(totalItemsCount / perPage) || 1, 1)
   const hasPreviousPage = page > 1
@@ -54,11 +56,7 @@ exports.createPagedNodeEdges = function (chain, args = {}, sort = []) {
 
   return {
     totalCount,
-    edges: nodes.map((node, index) => ({
-      node,
-      next: nodes[index + 1],
-      previous: nodes[index - 1]
-    })),
+    edges,
     pageInfo: {
       perPage,
       totalPages,
@@ -67,7 +65,8 @@ exports.createPagedNodeEdges = function (chain, args = {}, sort = []) {
       hasNextPage,
       totalItems: totalItemsCount,
       isFirst: hasPreviousPage === false,
-      isLast: hasNextPage === false
+      isLast: hasNextPage === false,
+      ...createCursorInfo(edges)
     }
   }
 }
@@ -82,6 +81,91 @@ exports.createSortOptions = function ({ sort, sortBy, order }) {
   return []
 }
 
+// Relay style pagination with the first, after, last and before
+// arguments. The cursors are offsets in the sorted results.
+function createCursorNodeEdges (chain, args, sort) {
+  const { first, after, last, before } = args
+
+  if (args.page != null) {
+    throw new Error('The page argument cannot be combined with cursor arguments.')
+  }
+
+  // skip defaults to 0 in the schema
+  if (args.skip || args.limit != null || args.perPage != null) {
+    throw new Error('The skip, limit and perPage arguments cannot be combined with cursor arguments.')
+  }
+
+  if ((first != null && first < 0) || (last != null && last < 0)) {
+    throw new Error('The first and last arguments must be positive integers.')
+  }
+
+  const totalCount = chain.data().length
+  let start = 0
+  let end = totalCount
+
+  if (after != null) start = Math.min(parseCursor(after) + 1, totalCount)
+  if (before != null) end = Math.max(Math.min(parseCursor(before), totalCount), start)
+  if (first != null) end = Math.min(end, start + first)
+  if (last != null) start = Math.max(start, end - last)
+
+  const nodes = applySort(chain, sort).offset(start).limit(end - start).data()
+  const edges = createEdges(nodes, start)
+  const perPage = Math.max(first || last || nodes.length, 1)
+  const hasPreviousPage = start > 0
+  const hasNextPage = end < totalCount
+
+  return {
+    totalCount,
+    edges,
+    pageInfo: {
+      perPage,
+      totalPages: Math.max(Math.ceil(totalCount / perPage), 1),
+      currentPage: Math.floor(start / perPage) + 1,
+      hasPreviousPage,
+      hasNextPage,
+      totalItems: totalCount,
+      isFirst: hasPreviousPage === false,
+      isLast: hasNextPage === false,
+      ...createCursorInfo(edges)
+    }
+  }
+}
+
+function isCursorPaged ({ first, after, last, before }) {
+  return [first, after, last, before].some(value => value != null)
+}
+
+function createEdges (nodes, offset) {
+  return nodes.map((node, index) => ({
+    node,
+    cursor: createCursor(offset + index),
+    next: nodes[index + 1],
+    previous: nodes[index - 1]
+  }))
+}
+
+function createCursorInfo (edges) {
+  return {
+    startCursor: edges.length ? edges[0].cursor : null,
+    endCursor: edges.length ? edges[edges.length - 1].cursor : null
+  }
+}
+
+function createCursor (offset) {
+  return Buffer.from(`offset:${offset}`).toString('base64')
+}
+
+function parseCursor (cursor) {
+  const [prefix, offset] = Buffer.from(cursor, 'base64').toString().split(':')
+  const value = parseInt(offset, 10)
+
+  if (prefix !== 'offset' || isNaN(value) || value < 0) {
+    throw new Error(`Invalid cursor: ${cursor}`)
+  }
+
+  return value
+}
+
 function applySort (chain, sort = []) {
   if (sort.length > 1) return chain.compoundsort(sort)
   else if (sort.length) return chain.simplesort(...sort[0])
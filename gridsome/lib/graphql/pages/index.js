@@ -4,11 +4,11 @@ const {
   GraphQLList,
   GraphQLString,
   GraphQLNonNull,
-  GraphQLObjectType,
-  GraphQLInputObjectType
+  GraphQLObjectType
 } = require('graphql')
 
 const {
+  createFiltersType,
   createFilterTypes,
   createFilterQuery
 } = require('../createFilterTypes')
@@ -37,7 +37,7 @@ module.exports = () => {
   const pageConnectionArgs = {
     filter: {
       description: 'Filter for pages.',
-      type: new GraphQLInputObjectType({
+      type: createFiltersType({
         name: 'PageFilters',
         fields: createFilterTypes({ path: '' }, 'PageFilter')
       })
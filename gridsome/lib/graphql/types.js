@@ -18,7 +18,9 @@ const pageInfoType = new GraphQLObjectType({
     hasPreviousPage: { type: new GraphQLNonNull(GraphQLBoolean) },
     hasNextPage: { type: new GraphQLNonNull(GraphQLBoolean) },
     isFirst: { type: new GraphQLNonNull(GraphQLBoolean) },
-    isLast: { type: new GraphQLNonNull(GraphQLBoolean) }
+    isLast: { type: new GraphQLNonNull(GraphQLBoolean) },
+    startCursor: { type: GraphQLString },
+    endCursor: { type: GraphQLString }
   })
 })
 
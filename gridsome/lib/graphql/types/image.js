@@ -5,6 +5,7 @@ const { SUPPORTED_IMAGE_TYPES } = require('../../utils/constants')
 
 const {
   GraphQLInt,
+  GraphQLList,
   GraphQLString,
   GraphQLEnumType,
   GraphQLScalarType
@@ -41,6 +42,22 @@ const imageFitType = new GraphQLEnumType({
   }
 })
 
+const imageFormatType = new GraphQLEnumType({
+  name: 'ImageFormat',
+  values: {
+    webp: {
+      value: 'webp',
+      name: 'WebP',
+      description: 'Additional WebP sources.'
+    },
+    avif: {
+      value: 'avif',
+      name: 'AVIF',
+      description: 'Additional AVIF sources if supported by sharp.'
+    }
+  }
+})
+
 exports.GraphQLImage = new GraphQLScalarType({
   name: 'Image',
   serialize: value => value
@@ -72,7 +89,8 @@ exports.imageType = {
     fit: { type: imageFitType, description: 'Fit', defaultValue: 'cover' },
     quality: { type: GraphQLInt, description: 'Quality (default: 75)' },
     blur: { type: GraphQLInt, description: 'Blur level for base64 string' },
-    background: { type: GraphQLString, description: 'Background color for \'contain\''}
+    background: { type: GraphQLString, description: 'Background color for \'contain\''},
+    formats: { type: new GraphQLList(imageFormatType), description: 'Additional image formats' }
   },
   async resolve (obj, args, context, { fieldName }) {
     const value = obj[fieldName]
@@ -97,6 +115,7 @@ exports.imageType = {
       size: result.size,
       sizes: result.sizes,
       srcset: result.srcset,
+      sources: (result.sources || []).map(({ type, srcset }) => ({ type, srcset })),
       dataUri: result.dataUri
     }
   }
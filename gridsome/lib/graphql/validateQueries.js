@@ -0,0 +1,172 @@
+const path = require('path')
+const fs = require('fs-extra')
+const globby = require('globby')
+const { error, warn } = require('../utils/log')
+const { parseQuery } = require('../plugins/vue-components/lib/validate')
+
+const {
+  visit,
+  validate,
+  TypeInfo,
+  GraphQLError,
+  getNamedType,
+  specifiedRules,
+  visitWithTypeInfo
+} = require('graphql')
+
+// graphql-js doesn't keep the deprecationReason for arguments
+const deprecatedArgs = {
+  node: {
+    _id: 'Use id instead.',
+    path: 'Use id instead.',
+    nullable: 'Will always return null if not found.'
+  },
+  connection: {
+    regex: 'Use filter instead.'
+  }
+}
+
+// Validates every <page-query> and <static-query> in src against the
+// schema. Errors and deprecation warnings are logged with the location
+// in the component. The `--strict` flag fails if anything was found.
+async function validateQueries (app) {
+  const srcDir = path.join(app.context, 'src')
+  const files = await fs.exists(srcDir)
+    ? await globby('**/*.vue', { cwd: srcDir, absolute: true })
+    : []
+  const errors = []
+  const warnings = []
+
+  for (const file of files) {
+    const component = path.normalize(file)
+    const { pageQuery, staticQuery } = app.parser.parse(component)
+
+    const blocks = [
+      { type: 'page-query', source: pageQuery },
+      { type: 'static-query', source: staticQuery }
+    ]
+
+    for (const { type, source } of blocks) {
+      if (!source || !source.trim()) continue
+
+      const results = validateQuery(app.schema, app.fragments.attach(source))
+      const createEntry = err => ({
+        component,
+        type,
+        message: err.message,
+        location: resolveLocation(err, source)
+      })
+
+      errors.push(...results.errors.map(createEntry))
+      warnings.push(...results.warnings.map(createEntry))
+    }
+  }
+
+  errors.forEach(entry => error(formatEntry(entry, app.context)))
+  warnings.forEach(entry => warn(formatEntry(entry, app.context)))
+
+  if (app.config.strict && (errors.length || warnings.length)) {
+    throw new Error(
+      `Query validation failed with ${errors.length} error(s) ` +
+      `and ${warnings.length} warning(s).`
+    )
+  }
+
+  return { errors, warnings }
+}
+
+function validateQuery (schema, source) {
+  let document
+
+  try {
+    document = parseQuery(source)
+  } catch (err) {
+    return { errors: [err], warnings: [] }
+  }
+
+  return {
+    errors: validate(schema, document, specifiedRules),
+    warnings: findDeprecatedUsages(schema, document)
+  }
+}
+
+function findDeprecatedUsages (schema, document) {
+  const typeInfo = new TypeInfo(schema)
+  const queryType = schema.getQueryType()
+  const warnings = []
+
+  visit(document, visitWithTypeInfo(typeInfo, {
+    Field (node) {
+      const fieldDef = typeInfo.getFieldDef()
+      const parentType = typeInfo.getParentType()
+
+      if (fieldDef && fieldDef.isDeprecated) {
+        warnings.push(new GraphQLError(
+          `The field ${parentType.name}.${fieldDef.name} is deprecated. ` +
+          fieldDef.deprecationReason,
+          node
+        ))
+      }
+    },
+    Argument (node) {
+      const fieldDef = typeInfo.getFieldDef()
+
+      if (!fieldDef || typeInfo.getParentType() !== queryType) return
+
+      const args = deprecatedArgs[getFieldKind(fieldDef)] || {}
+      const reason = args[node.name.value]
+
+      if (reason) {
+        warnings.push(new GraphQLError(
+          `The argument ${fieldDef.name}(${node.name.value}) is deprecated. ${reason}`,
+          node
+        ))
+      }
+    },
+    EnumValue (node) {
+      const enumValue = typeInfo.getEnumValue()
+      const type = getNamedType(typeInfo.getInputType())
+
+      if (enumValue && enumValue.isDeprecated) {
+        warnings.push(new GraphQLError(
+          `The enum value ${type.name}.${enumValue.name} is deprecated. ` +
+          enumValue.deprecationReason,
+          node
+        ))
+      }
+    }
+  }))
+
+  return warnings
+}
+
+function getFieldKind (fieldDef) {
+  const type = getNamedType(fieldDef.type)
+
+  if (typeof type.getInterfaces === 'function') {
+    if (type.getInterfaces().some(({ name }) => name === 'Node')) {
+      return 'node'
+    }
+  }
+
+  return /Connection$/.test(type.name) ? 'connection' : null
+}
+
+// locations in attached fragments are not in the component
+function resolveLocation ({ locations }, source) {
+  const location = locations && locations[0]
+  const lines = source.split('\n').length
+
+  return location && location.line <= lines
+    ? { line: location.line, column: location.column }
+    : null
+}
+
+function formatEntry ({ component, type, message, location }, context) {
+  const relPath = path.relative(context, component)
+  const position = location ? `:${location.line}:${location.column}` : ''
+
+  return `${relPath}${position} (${type}): ${message}`
+}
+
+module.exports = validateQueries
@@ -203,7 +203,40 @@ test('create render queue for createPages hook', async () => {
     } else {
       expect(entry.query).toBeNull()
     }
+
+    if (entry.path.startsWith('/article/')) {
+      expect(entry.node.internal.typeName).toEqual('Post')
+    } else {
+      expect(entry.node).toBeNull()
+    }
+  })
+})
+
+test('honor logical filters in paginated page queries', async () => {
+  const app = await _createApp(function plugin (api) {
+    api.loadSource(() => {
+      const posts = api.store.addContentType({ typeName: 'Post' })
+
+      posts.addNode({ id: '1', featured: true, draft: false, tags: [] })
+      posts.addNode({ id: '2', featured: false, draft: false, tags: ['vue'] })
+      posts.addNode({ id: '3', featured: true, draft: false, tags: ['vue'] })
+      posts.addNode({ id: '4', featured: true, draft: true, tags: [] })
+      posts.addNode({ id: '5', featured: false, draft: false, tags: ['react'] })
+    })
+
+    api.createPages(({ createPage }) => {
+      createPage({
+        path: '/filtered',
+        component: './__fixtures__/FilteredPage.vue'
+      })
+    })
   })
+
+  const renderQueue = createRenderQueue([], app)
+  const paths = renderQueue.map(entry => entry.path)
+
+  expect(paths).toEqual(expect.arrayContaining(['/filtered', '/filtered/2']))
+  expect(paths).not.toContain('/filtered/3')
 })
 
 async function _createApp (plugin) {
@@ -18,6 +18,7 @@ test('create page', async () => {
   expect(page.query.document).toBeNull()
   expect(page.component).toEqual(path.join(__dirname, '__fixtures__', 'DefaultPage.vue'))
   expect(page.chunkName).toBeNull()
+  expect(page.render).toEqual('static')
 
   expect(emit).toHaveBeenCalledWith('create', page)
   expect(emit).toHaveBeenCalledTimes(1)
@@ -135,6 +136,58 @@ test('create page with custom route', async () => {
   expect(page.internal.isDynamic).toEqual(true)
 })
 
+test('create server-rendered page', async () => {
+  const { pages: { createPage }} = await createApp()
+
+  const page = createPage({
+    path: '/page',
+    render: 'server',
+    component: './__fixtures__/DefaultPage.vue'
+  })
+
+  expect(page.render).toEqual('server')
+
+  expect(() => createPage({
+    path: '/page-2',
+    render: 'dynamic',
+    component: './__fixtures__/DefaultPage.vue'
+  })).toThrow('render')
+})
+
+test('create localized pages', async () => {
+  const { pages: { createPage }} = await createApp(null, {
+    locales: ['en', 'de']
+  })
+
+  const page1 = createPage({
+    path: '/page',
+    component: './__fixtures__/DefaultPage.vue',
+    locale: 'en'
+  })
+
+  const page2 = createPage({
+    path: '/page/1',
+    route: '/page/:id',
+    component: './__fixtures__/PagedPage.vue',
+    locale: 'de'
+  })
+
+  const page3 = createPage({
+    path: '/other',
+    component: './__fixtures__/DefaultPage.vue',
+    locale: 'fr'
+  })
+
+  expect(page1.path).toEqual('/page')
+  expect(page1.context).toMatchObject({ locale: 'en' })
+  expect(page1.internal.meta).toMatchObject({ locale: 'en' })
+  expect(page2.path).toEqual('/de/page/1')
+  expect(page2.route).toEqual('/de/page/:id/:page(\\d+)?')
+  expect(page2.internal.locale).toEqual('de')
+  expect(page3.path).toEqual('/other')
+  expect(page3.internal.locale).toBeNull()
+})
+
 test('allways include a /404 page', async () => {
   const app = await createApp()
   const notFound = app.pages.findPage({ path: '/404' })
@@ -314,9 +367,9 @@ test('override page with equal path', async () => {
   expect(pages.data()).toHaveLength(2) // includes /404
 })
 
-async function createApp (plugin) {
+async function createApp (plugin, localConfig = {}) {
   const app = await new App(__dirname, {
-    localConfig: { plugins: plugin ? [plugin] : [] }
+    localConfig: { plugins: plugin ? [plugin] : [], ...localConfig }
   })
 
   return app.bootstrap(BOOTSTRAP_PAGES)
@@ -2,6 +2,11 @@ const path = require('path')
 
 function generateHTMLPaths (renderQueue, { config: { outDir }}) {
   return renderQueue.map(entry => {
+    // server-rendered pages are not written to disk
+    if (entry.render === 'server') {
+      return { ...entry, htmlOutput: null }
+    }
+
     const { pathSegments } = entry.internal
     const fileSegments = pathSegments.map(segment => decodeURIComponent(segment))
 
@@ -32,6 +32,10 @@ function createPageQuery (source, context = {}) {
       ? valueFromASTUntyped(result.perPageAST, variables)
       : undefined
 
+    paginate.locale = result.localeAST
+      ? valueFromASTUntyped(result.localeAST, variables)
+      : undefined
+
     if (paginate.belongsTo) {
       paginate.belongsTo = { id: undefined, path: undefined }
 
@@ -61,6 +65,7 @@ function parsePageQuery (source) {
     paginate: null,
     limitAST: null,
     perPageAST: null,
+    localeAST: null,
     filtersAST: null,
     pathAST: null,
     idAST: null,
@@ -103,6 +108,7 @@ function parsePageQuery (source) {
             const limitArg = parentArgs.find(node => node.name.value === 'limit')
             const perPageArg = parentArgs.find(node => node.name.value === 'perPage')
             const filterArg = parentArgs.find(node => node.name.value === 'filter')
+            const localeArg = parentArgs.find(node => node.name.value === 'locale')
 
             result.paginate = {
               // TODO: use visitWithTypeInfo() to get real GraphQL type here instead
@@ -119,6 +125,7 @@ function parsePageQuery (source) {
             if (limitArg) result.limitAST = limitArg.value
             if (perPageArg) result.perPageAST = perPageArg.value
             if (filterArg) result.filtersAST = filterArg.value
+            if (localeArg) result.localeAST = localeArg.value
 
             if (parentName.value === 'belongsTo') {
               const idArg = args.find(({ name }) => name.value === 'id')
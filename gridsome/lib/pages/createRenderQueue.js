@@ -22,7 +22,7 @@ function createRenderQueue (renderQueue, { pages, store, schema }) {
 }
 
 function calcTotalPages (page, store, queryFields) {
-  const { belongsTo, fieldName, typeName, perPage, skip, limit } = page.query.paginate
+  const { belongsTo, fieldName, typeName, perPage, skip, limit, locale } = page.query.paginate
   const { collection } = store.getContentType(typeName)
 
   let chain
@@ -41,6 +41,8 @@ function calcTotalPages (page, store, queryFields) {
     const { args } = queryFields[fieldName]
     const query = createCollectionQuery(args, page.query.filters)
 
+    if (locale) query.locale = locale
+
     chain = collection.chain().find(query)
   }
 
@@ -58,11 +60,17 @@ function createRenderEntry (page, currentPage = undefined) {
   }
 
   const originalPath = `/${segments.join('/')}`
+  const { queryVariables } = page
 
   return {
     route: page.route,
     path: `/${segments.join('/')}`,
     component: page.component,
+    chunkName: page.chunkName,
+    render: page.render,
+    locale: page.internal.locale,
+    // the node this page was created for
+    node: queryVariables && queryVariables.internal ? queryVariables : null,
     context: page.context,
     query: page.query.document ? {
       document: page.query.document,
@@ -4,10 +4,9 @@ const { FSWatcher } = require('chokidar')
 const EventEmitter = require('eventemitter3')
 const validateOptions = require('./validateOptions')
 const createPageQuery = require('./createPageQuery')
+const { localizePath } = require('../utils')
 const { NOT_FOUND_NAME, NOT_FOUND_PATH } = require('../utils/constants')
 
-const isDev = process.env.NODE_ENV === 'development'
-
 class Pages {
   constructor (app) {
     this._app = app
@@ -27,7 +26,7 @@ class Pages {
 
     autoBind(this)
 
-    if (isDev) {
+    if (app.config.watch) {
       this._watcher.on('change', component => {
         const pages = this._collection.find({ component })
         const length = pages.length
@@ -43,8 +42,10 @@ class Pages {
             component: page.component,
             chunkName: page.chunkName || null,
             name: page.name || null,
+            locale: page.internal.locale || null,
             context: page.context || {},
             queryVariables: page.queryVariables || null,
+            render: page.render,
             route: page.internal.route || null,
             _meta: page.internal.meta || null
           }, {
@@ -87,7 +88,8 @@ class Pages {
 
     const { pageQuery } = this._parse(options.component)
     const page = createPage(options)
-    const query = createPageQuery(pageQuery, page.queryVariables || page.context)
+    const source = this._app.fragments.attach(pageQuery)
+    const query = createPageQuery(source, page.queryVariables || page.context)
 
     Object.assign(page, { query })
     Object.assign(page, createRoute({ page, query }))
@@ -96,7 +98,7 @@ class Pages {
     this._collection.insert(page)
     this._events.emit('create', page)
 
-    if (isDev) {
+    if (this._app.config.watch) {
       this._watch(options.component)
     }
 
@@ -110,7 +112,8 @@ class Pages {
     const useCache = this._cached.has(options.component)
     const { pageQuery } = this._parse(options.component, useCache)
     const page = createPage(options)
-    const query = createPageQuery(pageQuery, page.queryVariables || page.context)
+    const source = this._app.fragments.attach(pageQuery)
+    const query = createPageQuery(source, page.queryVariables || page.context)
 
     Object.assign(page, { query })
     Object.assign(page, createRoute({ page, query }))
@@ -167,6 +170,20 @@ class Pages {
 
     options.component = this._app.resolve(input.component)
 
+    const { config } = this._app
+
+    // ignore locales which are not configured
+    if (options.locale && !(config.locales || []).includes(options.locale)) {
+      options.locale = null
+    }
+
+    if (options.locale) {
+      options.path = localizePath(options.path, options.locale, config)
+      options.route = options.route
+        ? localizePath(options.route, options.locale, config)
+        : options.route
+    }
+
     return this._app._hooks.page.call(options, this, this._app)
   }
 
@@ -195,19 +212,22 @@ function createPage (options) {
 
   // the /404 page must be named 404
   const name = path === NOT_FOUND_PATH ? NOT_FOUND_NAME : options.name
+  const { locale = null } = options
 
   return {
     name,
     path,
     component: options.component,
-    context: options.context || {},
+    context: locale ? { locale, ...options.context } : options.context || {},
     queryVariables: options.queryVariables || null,
     chunkName: options.chunkName || null,
+    render: options.render || 'static',
     internal: {
       digest: null,
       path: { segments },
       route: options.route || null,
-      meta: options._meta || {},
+      meta: locale ? { ...options._meta, locale } : options._meta || {},
+      locale,
       isDynamic: typeof options.route === 'string',
       isManaged: false
     }
@@ -7,7 +7,7 @@ exports.createQueryVariables = function (page, currentPage = undefined) {
 }
 
 exports.createPagesAPI = function (api, { digest }) {
-  const { graphql, store, pages } = api._app
+  const { graphql, store, pages, redirects } = api._app
 
   return {
     graphql,
@@ -16,6 +16,9 @@ exports.createPagesAPI = function (api, { digest }) {
     },
     createPage (options) {
       return pages.createPage(options, { digest, isManaged: false })
+    },
+    createRedirect (options) {
+      return redirects.createRedirect(options)
     }
   }
 }
@@ -8,8 +8,10 @@ const schema = Joi.object()
     chunkName: Joi.string().allow(null),
     route: Joi.string().allow(null),
     name: Joi.string().allow(null),
+    locale: Joi.string().allow(null),
     context: Joi.object().default({}),
     queryVariables: Joi.object().allow(null),
+    render: Joi.string().valid('static', 'server').default('static'),
     _meta: Joi.object()
   })
 
@@ -0,0 +1,49 @@
+const Redirects = require('../../../app/Redirects')
+
+const {
+  createRedirectStub,
+  createNetlifyRedirects,
+  createNetlifyToml,
+  createNginxRewrites
+} = require('../redirects')
+
+const redirects = new Redirects({
+  config: {
+    redirects: [
+      { from: '/old', to: '/new' },
+      { from: '/blog/:slug', to: '/posts/:slug', status: 302 },
+      { from: '/docs/*', to: 'https://docs.example.com/:splat', status: 307 }
+    ]
+  }
+}).data()
+
+test('create redirect stub', () => {
+  const html = createRedirectStub('/new?a=1&b="2"')
+
+  expect(html).toMatch('<meta http-equiv="refresh" content="0; url=/new?a=1&amp;b=&quot;2&quot;">')
+  expect(html).toMatch('<link rel="canonical" href="/new?a=1&amp;b=&quot;2&quot;">')
+})
+
+test('export redirects for netlify', () => {
+  expect(createNetlifyRedirects(redirects, '/prefix')).toEqual(
+    '/prefix/old /prefix/new 301!\n' +
+    '/prefix/blog/:slug /prefix/posts/:slug 302!\n' +
+    '/prefix/docs/* https://docs.example.com/:splat 307!\n'
+  )
+
+  expect(createNetlifyToml(redirects, '')).toMatch(
+    '[[redirects]]\n' +
+    '  from = "/blog/:slug"\n' +
+    '  to = "/posts/:slug"\n' +
+    '  status = 302\n' +
+    '  force = true'
+  )
+})
+
+test('export redirects for nginx', () => {
+  const lines = createNginxRewrites(redirects, '').trim().split('\n')
+
+  expect(lines[0]).toEqual('rewrite (?i)^\\/old(?:\\/)?$ /new permanent;')
+  expect(lines[1]).toEqual('rewrite (?i)^\\/blog\\/([^\\/]+?)(?:\\/)?$ /posts/$1 redirect;')
+  expect(lines[2]).toEqual('location ~* ^\\/docs\\/(.*)(?:\\/)?$ { return 307 https://docs.example.com/$1; }')
+})
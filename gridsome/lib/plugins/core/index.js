@@ -1,5 +1,7 @@
 const path = require('path')
 const fs = require('fs-extra')
+const { warn } = require('../../utils/log')
+const { exportFormats, getRedirectStubs, createRedirectStub } = require('./redirects')
 
 function corePlugin (api, config) {
   api.loadSource(store => {
@@ -13,14 +15,46 @@ function corePlugin (api, config) {
     }
   })
 
-  api.afterBuild(({ config }) => {
+  api.afterBuild(({ config, queue, redirects }) => {
     const notFoundPath = path.join(config.outDir, '404', 'index.html')
     const notFoundDest = path.join(config.outDir, '404.html')
 
     if (fs.existsSync(notFoundPath)) {
       fs.copySync(notFoundPath, notFoundDest)
     }
+
+    writeRedirects(redirects, queue, config)
   })
 }
 
+function writeRedirects (redirects = [], queue, config) {
+  const paths = new Set(queue.map(entry => entry.path))
+
+  for (const redirect of redirects) {
+    if (redirect.isStatic && paths.has(redirect.from)) {
+      warn(`Skipped redirect for ${redirect.from} because a page exists with that path.`)
+    }
+  }
+
+  for (const { redirect, filePath } of getRedirectStubs(redirects, paths, config.outDir)) {
+    const to = redirect.isExternal ? redirect.to : config.pathPrefix + redirect.to
+
+    fs.outputFileSync(filePath, createRedirectStub(to))
+  }
+
+  for (const format of config.exportRedirects) {
+    const { filename, create } = exportFormats[format] || {}
+
+    if (!create) {
+      warn(`Unknown redirects export format: ${format}`)
+      continue
+    }
+
+    fs.outputFileSync(
+      path.join(config.outDir, filename),
+      create(redirects, config.pathPrefix)
+    )
+  }
+}
+
 module.exports = corePlugin
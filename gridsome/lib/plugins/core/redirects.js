@@ -0,0 +1,117 @@
+const path = require('path')
+const pathToRegexp = require('path-to-regexp')
+
+const exportFormats = {
+  netlify: {
+    filename: '_redirects',
+    create: createNetlifyRedirects
+  },
+  'netlify-toml': {
+    filename: 'netlify.toml',
+    create: createNetlifyToml
+  },
+  nginx: {
+    filename: 'redirects.nginx.conf',
+    create: createNginxRewrites
+  }
+}
+
+function createRedirectStub (url) {
+  const href = escapeHTML(url)
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>Redirecting…</title>',
+    `<link rel="canonical" href="${href}">`,
+    `<meta http-equiv="refresh" content="0; url=${href}">`,
+    '<meta name="robots" content="noindex">',
+    '</head>',
+    '<body>',
+    `<a href="${href}">Redirecting to ${href}</a>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n')
+}
+
+// static hosts can only follow redirects for paths without parameters
+function getRedirectStubs (redirects, pagePaths, outDir) {
+  return redirects
+    .filter(redirect => redirect.isStatic && !pagePaths.has(redirect.from))
+    .map(redirect => {
+      const segments = redirect.from.split('/').filter(Boolean).map(decodeURIComponent)
+      const filePath = path.join(outDir, ...segments, 'index.html')
+
+      return { redirect, filePath }
+    })
+}
+
+// Redirects are forced because the generated
+// stubs would shadow them on Netlify otherwise.
+function createNetlifyRedirects (redirects, pathPrefix) {
+  return redirects.map(redirect => {
+    const { from, to } = prefixRedirect(redirect, pathPrefix)
+    return `${from} ${to} ${redirect.status}!`
+  }).join('\n') + '\n'
+}
+
+function createNetlifyToml (redirects, pathPrefix) {
+  return redirects.map(redirect => {
+    const { from, to } = prefixRedirect(redirect, pathPrefix)
+
+    return [
+      '[[redirects]]',
+      `  from = ${JSON.stringify(from)}`,
+      `  to = ${JSON.stringify(to)}`,
+      `  status = ${redirect.status}`,
+      `  force = true`
+    ].join('\n')
+  }).join('\n\n') + '\n'
+}
+
+function createNginxRewrites (redirects, pathPrefix) {
+  return redirects.map(redirect => {
+    const { from, to } = prefixRedirect(redirect, pathPrefix)
+    const keys = []
+    const source = from.replace(/\/\*$/, '/:splat(.*)')
+    const regex = pathToRegexp(source, keys)
+    const target = to.replace(/:(\w+)/g, (match, name) => {
+      const index = keys.findIndex(key => key.name === name)
+      return index !== -1 ? `$${index + 1}` : match
+    })
+
+    if (redirect.status === 301 || redirect.status === 302) {
+      const flag = redirect.status === 301 ? 'permanent' : 'redirect'
+      return `rewrite (?i)${regex.source} ${target} ${flag};`
+    }
+
+    return `location ~* ${regex.source} { return ${redirect.status} ${target}; }`
+  }).join('\n') + '\n'
+}
+
+function prefixRedirect ({ from, to, isExternal }, pathPrefix) {
+  return {
+    from: pathPrefix + from,
+    to: isExternal ? to : pathPrefix + to
+  }
+}
+
+function escapeHTML (value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+module.exports = {
+  exportFormats,
+  getRedirectStubs,
+  createRedirectStub,
+  createNetlifyRedirects,
+  createNetlifyToml,
+  createNginxRewrites
+}
@@ -40,9 +40,11 @@ class VueComponents {
     const source = fs.readFileSync(resource, 'utf-8')
     const { customBlocks } = parse({ filename, source, compiler })
     const pageQuery = customBlocks.find(block => block.type === 'page-query')
+    const staticQuery = customBlocks.find(block => block.type === 'static-query')
 
     return {
-      pageQuery: pageQuery ? pageQuery.content : null
+      pageQuery: pageQuery ? pageQuery.content : null,
+      staticQuery: staticQuery ? staticQuery.content : null
     }
   }
 }
@@ -5,10 +5,14 @@ const validate = require('../validate')
 const cache = new LRU({ max: 1000 })
 
 module.exports = function (source, map) {
-  const { schema } = process.GRIDSOME
+  const { schema, fragments } = process.GRIDSOME
   const resourcePath = this.resourcePath
+  const query = fragments.attach(source)
 
-  const cacheKey = hash({ source, resourcePath })
+  // re-run this loader when a fragment file has changed
+  fragments.data().forEach(({ filePath }) => this.addDependency(filePath))
+
+  const cacheKey = hash({ query, resourcePath })
   const cached = cache.get(cacheKey)
 
   if (cached) {
@@ -22,7 +26,7 @@ module.exports = function (source, map) {
   }
 
   try {
-    const errors = validate(schema, source)
+    const errors = validate(schema, query)
 
     if (errors && errors.length) {
       this.callback(new Error(errors[0]), source, map)
@@ -5,8 +5,38 @@ const hash = require('hash-sum')
 const cache = new LRU({ max: 1000 })
 
 module.exports = async function (source, map) {
-  const { config, graphql, store } = process.GRIDSOME
+  const { config, graphql, store, staticQueries, fragments } = process.GRIDSOME
   const resourcePath = this.resourcePath
+  const callback = this.async()
+
+  // re-run this loader when a fragment file has changed
+  fragments.data().forEach(({ filePath }) => this.addDependency(filePath))
+
+  // queries with variables are executed for each page and
+  // the results are included in the page data
+  if (staticQueries.add(resourcePath, source)) {
+    if (process.env.NODE_ENV === 'development') {
+      // routes without page data must fetch the new results
+      try {
+        await process.GRIDSOME.codegen.generate('routes.js')
+      } catch (err) {
+        return callback(err)
+      }
+
+      process.GRIDSOME.broadcast({ type: 'fetch' }, false)
+    }
+  }
+
+  const staticQuery = staticQueries.get(resourcePath)
+
+  if (staticQuery) {
+    const code = staticQuery.hasVariables
+      ? createPageDataCode(staticQuery, config)
+      : createChunkCode(staticQuery, config)
+
+    callback(null, code, map)
+    return
+  }
 
   // add dependency to now.js to re-run
   // this loader when store has changed
@@ -14,8 +44,8 @@ module.exports = async function (source, map) {
     this.dependency(path.join(config.tmpDir, 'now.js'))
   }
 
-  const callback = this.async()
-  const cacheKey = hash({ source, resourcePath, lastUpdate: store.lastUpdate })
+  const query = fragments.attach(source)
+  const cacheKey = hash({ query, resourcePath, lastUpdate: store.lastUpdate })
   const cached = cache.get(cacheKey)
 
   if (cached) {
@@ -28,7 +58,7 @@ module.exports = async function (source, map) {
     return
   }
 
-  const { errors, data } = await graphql(source)
+  const { errors, data } = await graphql(query)
 
   if (errors && errors.length) {
     callback(new Error(errors[0]), source, map)
@@ -59,3 +89,53 @@ module.exports = async function (source, map) {
 
   callback(null, res, map)
 }
+
+function createPageDataCode ({ id }, config) {
+  const sharedPath = path.join(config.appPath, 'graphql', 'shared')
+
+  return `
+    import Vue from 'vue'
+    import { getResults } from ${JSON.stringify(sharedPath)}
+
+    const { computed } = Vue.config.optionMergeStrategies
+
+    export default ({ options }) => {
+      options.computed = computed({
+        $static () {
+          const results = process.isServer
+            ? this.$ssrContext.state
+            : getResults(this.$route.path)
+
+          return results && results.static
+            ? results.static[${JSON.stringify(id)}] || null
+            : null
+        }
+      }, options.computed)
+    }
+  `
+}
+
+// the results are fetched from a JSON file when the component is loaded
+function createChunkCode ({ id }, config) {
+  const staticPath = path.join(config.appPath, 'graphql', 'static')
+
+  return `
+    import Vue from 'vue'
+    import { loadStaticQuery, getStaticResults } from ${JSON.stringify(staticPath)}
+
+    const { computed } = Vue.config.optionMergeStrategies
+
+    // failed queries are loaded again by the router
+    if (process.isClient) {
+      loadStaticQuery(${JSON.stringify(id)}).catch(() => {})
+    }
+
+    export default ({ options }) => {
+      options.computed = computed({
+        $static () {
+          return getStaticResults(this, ${JSON.stringify(id)})
+        }
+      }, options.computed)
+    }
+  `
+}
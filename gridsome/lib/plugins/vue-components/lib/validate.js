@@ -4,6 +4,8 @@ module.exports = (schema, query) => {
   return validate(schema, parseQuery(query), specifiedRules)
 }
 
+module.exports.parseQuery = parseQuery
+
 function parseQuery (query) {
   return visit(parse(query), {
     Directive (node) {
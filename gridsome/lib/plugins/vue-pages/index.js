@@ -12,6 +12,9 @@ class VuePages {
   constructor (api) {
     this.store = api.store
     this.pagesDir = api.config.pagesDir
+    this.watch = api.config.watch
+    this.locales = api.config.locales
+    this.defaultLocale = api.config.defaultLocale
 
     if (fs.existsSync(this.pagesDir)) {
       api.createManagedPages(args => this.createPages(args))
@@ -39,17 +42,17 @@ class VuePages {
     const files = await glob('**/*.vue', { cwd: this.pagesDir })
 
     for (const file of files) {
-      createPage(this.createPageOptions(file))
+      this.createLocalizedPages(file, createPage)
     }
 
-    if (process.env.NODE_ENV === 'development') {
+    if (this.watch) {
       const watcher = chokidar.watch('**/*.vue', {
         ignoreInitial: true,
         cwd: this.pagesDir
       })
 
       watcher.on('add', file => {
-        createPage(this.createPageOptions(slash(file)))
+        this.createLocalizedPages(slash(file), createPage)
       })
 
       watcher.on('unlink', file => {
@@ -58,6 +61,23 @@ class VuePages {
     }
   }
 
+  createLocalizedPages (file, createPage) {
+    const options = this.createPageOptions(file)
+
+    if (!this.locales.length) {
+      return createPage(options)
+    }
+
+    for (const locale of this.locales) {
+      createPage({
+        ...options,
+        // route names must be unique
+        name: locale === this.defaultLocale ? options.name : undefined,
+        locale
+      })
+    }
+  }
+
   createPageOptions (file) {
     return {
       name: /^[iI]ndex\.vue$/.test(file) ? 'home' : undefined,
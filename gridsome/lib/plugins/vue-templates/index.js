@@ -15,6 +15,7 @@ class VueTemplates {
     this.pages = api.pages
 
     this.templatesDir = api.config.templatesDir
+    this.watch = api.config.watch
 
     if (fs.existsSync(this.templatesDir)) {
       api.createManagedPages(args => this.createTemplates(args))
@@ -30,7 +31,7 @@ class VueTemplates {
       this.createTemplate(file)
     }
 
-    if (process.env.NODE_ENV === 'development') {
+    if (this.watch) {
       const watcher = chokidar.watch('**/*.vue', {
         ignoreInitial: true,
         cwd: this.templatesDir
@@ -53,7 +54,7 @@ class VueTemplates {
       this.createNodePage(node)
     })
 
-    if (process.env.NODE_ENV === 'development') {
+    if (this.watch) {
       contentType.on('add', this.createNodePage, this)
       contentType.on('remove', this.removeNodePage, this)
       contentType.on('update', this.updateNodePage, this)
@@ -70,7 +71,7 @@ class VueTemplates {
 
     this.pages.removePagesByComponent(component)
 
-    if (process.env.NODE_ENV === 'development') {
+    if (this.watch) {
       contentType.off('add', this.createNodePage, this)
       contentType.off('remove', this.removeNodePage, this)
       contentType.off('update', this.updateNodePage, this)
@@ -85,6 +86,8 @@ class VueTemplates {
     return this.pages.createPage({
       queryVariables: node,
       path: node.path,
+      locale: node.locale || null,
+      render: contentType.options.render,
       component,
       route
     })
@@ -103,6 +106,8 @@ class VueTemplates {
     return this.pages.createPage({
       queryVariables: node,
       path: node.path,
+      locale: node.locale || null,
+      render: contentType.options.render,
       component,
       route
     })
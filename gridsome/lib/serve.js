@@ -2,8 +2,9 @@ const fs = require('fs-extra')
 const chalk = require('chalk')
 const express = require('express')
 const createApp = require('./app')
-const { uniqBy } = require('lodash')
-const pathToRegexp = require('path-to-regexp')
+const { debounce } = require('lodash')
+const RenderCache = require('./server/RenderCache')
+const createRoutes = require('./server/createRoutes')
 const compileAssets = require('./webpack/compileAssets')
 const { removeStylesJsChunk } = require('./webpack/utils')
 const createExpressServer = require('./server/createExpressServer')
@@ -22,15 +23,20 @@ module.exports = async (context, args) => {
   await fs.emptyDir(config.outDir)
 
   const routes = createRoutes(app)
-  const server = await createExpressServer(app)
+  const cache = new RenderCache(config.serve)
+  // the nodes API is only available with a configured token
+  const server = await createExpressServer(app, {
+    withNodesApi: !!process.env.GRIDSOME_NODES_TOKEN
+  })
   const sock = await createSockJsServer(app)
 
-  const { SOCKJS_ENDPOINT, GRAPHQL_ENDPOINT, GRAPHQL_WS_ENDPOINT } = process.env
+  const { SOCKJS_ENDPOINT, GRAPHQL_ENDPOINT, GRAPHQL_WS_ENDPOINT, SEARCH_ENDPOINT } = process.env
 
   const stats = await compileAssets(app, {
     'process.env.SOCKJS_ENDPOINT': JSON.stringify(SOCKJS_ENDPOINT || sock.url),
     'process.env.GRAPHQL_ENDPOINT': JSON.stringify(GRAPHQL_ENDPOINT || server.url.graphql),
-    'process.env.GRAPHQL_WS_ENDPOINT': JSON.stringify(GRAPHQL_WS_ENDPOINT || server.url.websocket)
+    'process.env.GRAPHQL_WS_ENDPOINT': JSON.stringify(GRAPHQL_WS_ENDPOINT || server.url.websocket),
+    'process.env.SEARCH_ENDPOINT': JSON.stringify(SEARCH_ENDPOINT || server.url.search)
   })
 
   if (config.css.split !== true) {
@@ -40,7 +46,28 @@ module.exports = async (context, args) => {
   server.app.use(express.static(config.outDir))
   server.app.use(express.static(config.staticDir))
 
-  server.app.get('*', require('./server/middlewares/renderer')(app, routes))
+  // the purge endpoint is only available with a configured token
+  const purgeToken = process.env.GRIDSOME_PURGE_TOKEN
+
+  if (purgeToken) {
+    server.app.use(
+      server.endpoint.purge,
+      express.json(),
+      require('./server/middlewares/purge')(cache, { token: purgeToken })
+    )
+  }
+
+  server.app.get('*', require('./server/middlewares/renderer')(app, routes, cache))
+
+  const createPages = debounce(() => app.createPages(), 16)
+  const refreshRoutes = debounce(() => routes.refresh(), 16)
+
+  app.store.on('change', createPages)
+  app.pages.on('create', refreshRoutes)
+  app.pages.on('remove', page => {
+    cache.purge({ path: page.path })
+    refreshRoutes()
+  })
 
   await app.events.dispatch('afterServe', { context, config, app })
 
@@ -48,41 +75,19 @@ module.exports = async (context, args) => {
     if (err) throw err
 
     console.log()
-    console.log(`  Site running at: ${chalk.cyan(server.url.site)}`)
+    console.log(`  Site running at:     ${chalk.cyan(server.url.site)}`)
+    console.log(
+      `  Push node data to:   ${chalk.cyan(server.url.nodes)} ` +
+      chalk.gray(server.nodesToken
+        ? '(token from GRIDSOME_NODES_TOKEN)'
+        : '(disabled, set GRIDSOME_NODES_TOKEN to enable)')
+    )
+    console.log(
+      `  Purge cached pages:  ${chalk.cyan(server.url.purge)} ` +
+      chalk.gray(purgeToken
+        ? '(token from GRIDSOME_PURGE_TOKEN)'
+        : '(disabled, set GRIDSOME_PURGE_TOKEN to enable)')
+    )
     console.log()
   })
 }
-
-function createRoutes (app) {
-  const pages = uniqBy(app.pages.data(), page => page.route)
-
-  return pages.map(page => {
-    const keys = []
-    const regex = pathToRegexp(page.route, keys)
-    const toPath = pathToRegexp.compile(page.route)
-
-    return {
-      regex,
-      path: page.path,
-      route: page.route,
-      query: page.query,
-
-      toParams (url) {
-        const matches = regex.exec(url)
-        const params = {}
-
-        keys.forEach((key, index) => {
-          if (typeof key === 'object') {
-            params[key.name] = matches[index + 1]
-          }
-        })
-
-        return params
-      },
-
-      toPath (params) {
-        return toPath(params)
-      }
-    }
-  })
-}
@@ -0,0 +1,95 @@
+const crypto = require('crypto')
+const LRU = require('lru-cache')
+const pathToRegexp = require('path-to-regexp')
+
+class RenderCache {
+  constructor ({ maxEntries, maxAge, staleWhileRevalidate, routes = [] }) {
+    this.defaultPolicy = { maxAge, staleWhileRevalidate }
+    this.policies = routes.map(policy => ({
+      regex: pathToRegexp(policy.route),
+      maxAge: policy.maxAge,
+      staleWhileRevalidate: policy.staleWhileRevalidate
+    }))
+
+    this._cache = new LRU({ max: maxEntries })
+  }
+
+  getPolicy (path) {
+    const policy = this.policies.find(({ regex }) => regex.test(path))
+    return policy || this.defaultPolicy
+  }
+
+  // Entries are stale when they are older than the max age or
+  // when the data has changed since they were rendered. Stale
+  // entries can still be used until the revalidation window ends.
+  get (path, version) {
+    const entry = this._cache.get(path)
+
+    if (!entry) return null
+
+    const { maxAge, staleWhileRevalidate } = entry.policy
+    const age = Date.now() - entry.createdAt
+
+    if (age > maxAge + staleWhileRevalidate) {
+      this._cache.del(path)
+      return null
+    }
+
+    return {
+      ...entry,
+      age,
+      isStale: age > maxAge || entry.version !== version
+    }
+  }
+
+  set (path, { html, page, version }) {
+    const entry = {
+      html,
+      version,
+      path: page.path,
+      typeNames: getTypeNames(page),
+      etag: `"${crypto.createHash('md5').update(html).digest('hex')}"`,
+      policy: this.getPolicy(path),
+      createdAt: Date.now()
+    }
+
+    if (entry.policy.maxAge > 0 || entry.policy.staleWhileRevalidate > 0) {
+      this._cache.set(path, entry)
+    }
+
+    return { ...entry, age: 0, isStale: false }
+  }
+
+  // Removes all entries when no path or type name is given.
+  purge ({ path, typeName } = {}) {
+    const keys = this._cache.keys().filter(key => {
+      const entry = this._cache.peek(key)
+
+      return (
+        (!path && !typeName) ||
+        (path && (key === path || entry.path === path)) ||
+        (typeName && entry.typeNames.includes(typeName))
+      )
+    })
+
+    keys.forEach(key => this._cache.del(key))
+
+    return keys.length
+  }
+}
+
+function getTypeNames ({ queryVariables, query }) {
+  const typeNames = []
+
+  if (queryVariables && queryVariables.internal) {
+    typeNames.push(queryVariables.internal.typeName)
+  }
+
+  if (query && query.paginate && query.paginate.typeName) {
+    typeNames.push(query.paginate.typeName)
+  }
+
+  return typeNames
+}
+
+module.exports = RenderCache
@@ -0,0 +1,88 @@
+const RenderCache = require('../RenderCache')
+
+const page = { path: '/blog/post-1', query: {}, queryVariables: { internal: { typeName: 'Post' }}}
+
+let now
+
+beforeEach(() => {
+  now = 1000
+  jest.spyOn(Date, 'now').mockImplementation(() => now)
+})
+
+afterEach(() => {
+  Date.now.mockRestore()
+})
+
+test('use the first matching route policy', () => {
+  const cache = createCache({
+    routes: [
+      { route: '/blog/:slug', maxAge: 60000, staleWhileRevalidate: 0 },
+      { route: '/(.*)', maxAge: 1000, staleWhileRevalidate: 0 }
+    ]
+  })
+
+  expect(cache.getPolicy('/blog/post-1').maxAge).toEqual(60000)
+  expect(cache.getPolicy('/about').maxAge).toEqual(1000)
+  expect(cache.getPolicy('/blog/post-1/comments').maxAge).toEqual(1000)
+})
+
+test('expire entries after max age', () => {
+  const cache = createCache()
+  const entry = cache.set('/blog/post-1', { html: '<p>1</p>', page, version: 1 })
+
+  expect(entry.etag).toMatch(/^"[a-f0-9]{32}"$/)
+  expect(cache.get('/blog/post-1', 1)).toMatchObject({ html: '<p>1</p>', isStale: false })
+
+  now += 1001
+
+  expect(cache.get('/blog/post-1', 1)).toBeNull()
+})
+
+test('serve stale entries until the revalidation window ends', () => {
+  const cache = createCache({ staleWhileRevalidate: 5000 })
+
+  cache.set('/blog/post-1', { html: '<p>1</p>', page, version: 1 })
+
+  now += 500
+  expect(cache.get('/blog/post-1', 2)).toMatchObject({ isStale: true })
+
+  now += 3000
+  expect(cache.get('/blog/post-1', 1)).toMatchObject({ isStale: true })
+
+  now += 3000
+  expect(cache.get('/blog/post-1', 1)).toBeNull()
+})
+
+test('do not store pages without a max age', () => {
+  const cache = createCache({ maxAge: 0 })
+
+  expect(cache.set('/', { html: '<p>1</p>', page, version: 1 }).html).toEqual('<p>1</p>')
+  expect(cache.get('/', 1)).toBeNull()
+})
+
+test('purge entries by path or content type', () => {
+  const cache = createCache()
+  const about = { path: '/about', query: {}, queryVariables: null }
+  const blog = { path: '/blog', query: { paginate: { typeName: 'Post' }}, queryVariables: null }
+
+  cache.set('/about', { html: '', page: about, version: 1 })
+  cache.set('/blog', { html: '', page: blog, version: 1 })
+  cache.set('/blog/2', { html: '', page: blog, version: 1 })
+  cache.set('/blog/post-1', { html: '', page, version: 1 })
+
+  expect(cache.purge({ path: '/blog' })).toEqual(2)
+  expect(cache.get('/blog/2', 1)).toBeNull()
+  expect(cache.purge({ typeName: 'Post' })).toEqual(1)
+  expect(cache.get('/about', 1)).not.toBeNull()
+  expect(cache.purge()).toEqual(1)
+  expect(cache.get('/about', 1)).toBeNull()
+})
+
+function createCache (options = {}) {
+  return new RenderCache({
+    maxEntries: 10,
+    maxAge: 1000,
+    staleWhileRevalidate: 0,
+    ...options
+  })
+}
@@ -0,0 +1,88 @@
+const App = require('../../app/App')
+const PluginAPI = require('../../app/PluginAPI')
+const nodesMiddleware = require('../middlewares/nodes')
+
+const token = 'secret'
+
+let app, api, middleware
+
+beforeEach(() => {
+  app = new App(__dirname, { config: { plugins: [] }}).init()
+  api = new PluginAPI(app, { entry: { options: {}, clientOptions: undefined }})
+  middleware = nodesMiddleware(app, { token })
+
+  api.store.addContentType('Post').addNode({ id: '1', title: 'Post 1' })
+})
+
+test('reject requests without a valid token', () => {
+  const res = request('POST', '/Post', { id: '2' }, 'invalid')
+
+  expect(res.statusCode).toEqual(401)
+  expect(app.store.getContentType('Post').getNode('2')).toBeNull()
+
+  // same string length as the token, but more bytes
+  expect(request('POST', '/Post', { id: '2' }, 'sécret').statusCode).toEqual(401)
+})
+
+test('answer preflight requests without a token', () => {
+  const res = request('OPTIONS', '/Post/1', undefined, null)
+
+  expect(res.statusCode).toEqual(204)
+  expect(res.headers['Access-Control-Allow-Methods']).toMatch('DELETE')
+})
+
+test('add node', () => {
+  const res = request('POST', '/Post', { id: '2', title: 'Post 2' })
+
+  expect(res.statusCode).toEqual(201)
+  expect(res.body.node).toMatchObject({ id: '2', title: 'Post 2' })
+  expect(res.body.node.$loki).toBeUndefined()
+  expect(app.store.getContentType('Post').getNode('2').title).toEqual('Post 2')
+})
+
+test('update node', () => {
+  const res = request('PUT', '/Post/1', { title: 'Updated' })
+
+  expect(res.statusCode).toEqual(200)
+  expect(app.store.getContentType('Post').getNode('1').title).toEqual('Updated')
+})
+
+test('remove node', () => {
+  const res = request('DELETE', '/Post/1')
+
+  expect(res.statusCode).toEqual(204)
+  expect(app.store.getContentType('Post').getNode('1')).toBeNull()
+})
+
+test('respond with 404 for missing content types and nodes', () => {
+  expect(request('POST', '/Author', { id: '1' }).statusCode).toEqual(404)
+  expect(request('PUT', '/Post/2', { title: 'Post 2' }).statusCode).toEqual(404)
+  expect(request('DELETE', '/Post/2').statusCode).toEqual(404)
+})
+
+test('respond with 405 for unsupported methods', () => {
+  expect(request('GET', '/Post/1').statusCode).toEqual(405)
+  expect(request('POST', '/Post/1').statusCode).toEqual(405)
+})
+
+function request (method, path, body, accessToken = token) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    header: (name, value) => (res.headers[name] = value) && res,
+    status: code => (res.statusCode = code) && res,
+    json: body => (res.body = body) && res,
+    sendStatus: code => (res.statusCode = code) && res
+  }
+
+  middleware({
+    method,
+    path,
+    body,
+    originalUrl: `/___nodes${path}`,
+    headers: { authorization: `Bearer ${accessToken}` }
+  }, res)
+
+  return res
+}
@@ -0,0 +1,47 @@
+const Redirects = require('../../app/Redirects')
+const redirectsMiddleware = require('../middlewares/redirects')
+
+test('redirect matching requests', () => {
+  const middleware = createMiddleware('')
+  const res = request(middleware, '/blog/hello', '/blog/hello?ref=1')
+
+  expect(res.redirected).toEqual([301, '/posts/hello?ref=1'])
+})
+
+test('prefix internal redirects with path prefix', () => {
+  const middleware = createMiddleware('/sub')
+
+  expect(request(middleware, '/sub/blog/hello').redirected).toEqual([301, '/sub/posts/hello'])
+  expect(request(middleware, '/sub/external').redirected).toEqual([302, 'https://example.com'])
+  expect(request(middleware, '/blog/hello').next).toEqual(true)
+})
+
+test('call next middleware for other requests', () => {
+  const middleware = createMiddleware('')
+
+  expect(request(middleware, '/about').next).toEqual(true)
+})
+
+function createMiddleware (pathPrefix) {
+  const config = {
+    pathPrefix,
+    redirects: [
+      { from: '/blog/:slug', to: '/posts/:slug' },
+      { from: '/external', to: 'https://example.com', status: 302 }
+    ]
+  }
+
+  return redirectsMiddleware({ config, redirects: new Redirects({ config }) })
+}
+
+function request (middleware, path, originalUrl = path) {
+  const res = {
+    next: false,
+    redirected: null,
+    redirect: (status, url) => (res.redirected = [status, url])
+  }
+
+  middleware({ path, originalUrl }, res, () => (res.next = true))
+
+  return res
+}
@@ -1,14 +1,21 @@
 const path = require('path')
+const crypto = require('crypto')
 const express = require('express')
 const resolvePort = require('./resolvePort')
 const graphqlHTTP = require('express-graphql')
 const graphqlMiddleware = require('./middlewares/graphql')
+const nodesMiddleware = require('./middlewares/nodes')
+const searchMiddleware = require('./middlewares/search')
+const redirectsMiddleware = require('./middlewares/redirects')
 const { default: playground } = require('graphql-playground-middleware-express')
 const { forwardSlash } = require('../utils')
 
 const endpoint = {
   graphql: '/___graphql',
-  explore: '/___explore'
+  explore: '/___explore',
+  nodes: '/___nodes',
+  search: '/___search',
+  purge: '/___purge'
 }
 
 module.exports = async (app, options = {}) => {
@@ -24,7 +31,7 @@ module.exports = async (app, options = {}) => {
   if (process.env.NODE_ENV === 'development') {
     server.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', '*')
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept')
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization')
       next()
     })
   }
@@ -40,20 +47,41 @@ module.exports = async (app, options = {}) => {
         message: err.message,
         stringified: err.toString()
       }),
-      extensions ({ variables }) {
+      async extensions ({ variables }) {
         if (variables && variables.__path) {
           const page = app.pages.findPage({
             path: variables.__path
           })
 
+          if (!page) {
+            return { context: {}}
+          }
+
+          const results = await app.staticQueries.execute(page, variables.page)
+
           return {
-            context: page ? page.context : {}
+            context: page.context,
+            static: results.data
           }
         }
       }
     })
   )
 
+  const nodesToken = options.withNodesApi
+    ? process.env.GRIDSOME_NODES_TOKEN || crypto.randomBytes(16).toString('hex')
+    : null
+
+  if (nodesToken) {
+    server.use(
+      endpoint.nodes,
+      express.json(),
+      nodesMiddleware(app, { token: nodesToken })
+    )
+  }
+
+  server.get(`${endpoint.search}/*`, searchMiddleware(app))
+
   if (options.withExplorer) {
     server.get(
       endpoint.explore,
@@ -70,6 +98,9 @@ module.exports = async (app, options = {}) => {
   const assetsRE = new RegExp(`${assetsPath}/(files|static)/(.*)`)
   server.get(assetsRE, require('./middlewares/assets')(app))
 
+  // redirects should not shadow the internal endpoints
+  server.use(redirectsMiddleware(app))
+
   const createUrl = (endpoint, protocol = 'http') => {
     return `${protocol}://${config.host}:${port}${forwardSlash(endpoint)}`
   }
@@ -79,9 +110,13 @@ module.exports = async (app, options = {}) => {
     host: config.host,
     port,
     endpoint,
+    nodesToken,
     url: {
       graphql: createUrl(endpoint.graphql),
       explore: createUrl(endpoint.explore),
+      nodes: createUrl(endpoint.nodes),
+      search: createUrl(endpoint.search),
+      purge: createUrl(endpoint.purge),
       websocket: createUrl(endpoint.graphql, 'ws'),
       site: createUrl('/')
     }
@@ -0,0 +1,85 @@
+const path = require('path')
+const fs = require('fs-extra')
+const LRU = require('lru-cache')
+const express = require('express')
+const createRenderFn = require('./createRenderFn')
+const { NOT_FOUND_PATH } = require('../utils/constants')
+
+// Serves a static build and renders the pages marked
+// with `render: 'server'` on request. This is used by
+// the server entry which is generated by `gridsome build`.
+// Pages are rendered with the data from the build and are
+// cached until `maxAge` (in milliseconds) has passed.
+module.exports = (serverDir, manifest, { maxAge = 0 } = {}) => {
+  const { pathPrefix, pages } = manifest
+  const outDir = path.resolve(serverDir, manifest.outDir)
+  const server = express()
+  const cache = new LRU({ max: 100, maxAge })
+
+  const staticQueries = manifest.staticQueries || {}
+  const staticData = {}
+
+  for (const id in staticQueries) {
+    staticData[id] = fs.readJsonSync(path.join(outDir, staticQueries[id]))
+  }
+
+  const render = createRenderFn({
+    htmlTemplate: manifest.htmlTemplate,
+    clientManifestPath: path.join(serverDir, manifest.clientManifestPath),
+    serverBundlePath: path.join(serverDir, manifest.serverBundlePath),
+    maxStateSize: manifest.maxStateSize,
+    staticData
+  })
+
+  const renderPage = async (pagePath, page) => {
+    let state, stateSize
+
+    if (page.dataOutput) {
+      const content = await fs.readFile(path.join(outDir, page.dataOutput), 'utf8')
+
+      stateSize = content.length
+      state = JSON.parse(content)
+    }
+
+    return render(pagePath, state, stateSize, page.inlineState)
+  }
+
+  server.use(pathPrefix || '/', express.static(outDir))
+
+  server.get('*', async (req, res, next) => {
+    if (!req.path.startsWith(pathPrefix)) return next()
+
+    const pagePath = normalizePath(req.path.substr(pathPrefix.length))
+    const page = pages[pagePath]
+
+    if (!page) return next()
+
+    try {
+      if (!cache.has(pagePath)) {
+        cache.set(pagePath, await renderPage(pagePath, page))
+      }
+
+      res.type('html').send(cache.get(pagePath))
+    } catch (err) {
+      next(err)
+    }
+  })
+
+  server.use((req, res) => {
+    const notFoundPath = path.join(outDir, NOT_FOUND_PATH, 'index.html')
+
+    if (fs.existsSync(notFoundPath)) {
+      res.status(404).sendFile(notFoundPath)
+    } else {
+      res.sendStatus(404)
+    }
+  })
+
+  return server
+}
+
+function normalizePath (value) {
+  const segments = value.split('/').filter(segment => !!segment)
+
+  return `/${segments.join('/')}`
+}
@@ -8,7 +8,9 @@ const MAX_STATE_SIZE = 25000
 module.exports = function createRenderFn ({
   htmlTemplate,
   clientManifestPath,
-  serverBundlePath
+  serverBundlePath,
+  maxStateSize = MAX_STATE_SIZE,
+  staticData = {}
 }) {
   const renderHTML = createHTMLRenderer(htmlTemplate)
   const clientManifest = require(clientManifestPath)
@@ -19,8 +21,21 @@ module.exports = function createRenderFn ({
     runInNewContext: false
   })
 
-  return async function render (url, state, stateSize) {
-    const context = { url, state: createState(state) }
+  // The inline state replaces the page state in the HTML
+  // when large query results are fetched separately.
+  return async function render (url, state, stateSize, inlineState = null) {
+    const context = {
+      url,
+      state: createState(state),
+      // results for static queries stored in JSON chunks
+      staticData: typeof staticData === 'function'
+        ? await staticData()
+        : staticData
+    }
+
+    if (state && stateSize === undefined) {
+      stateSize = JSON.stringify(state).length
+    }
 
     let app = ''
 
@@ -46,9 +61,14 @@ module.exports = function createRenderFn ({
       context.renderResourceHints() +
       context.renderStyles()
 
-    const renderedState = state && stateSize <= MAX_STATE_SIZE
-      ? context.renderState()
-      : ''
+    let renderedState = ''
+
+    if (inlineState) {
+      context.state = inlineState
+      renderedState = context.renderState()
+    } else if (state && stateSize <= maxStateSize) {
+      renderedState = context.renderState()
+    }
 
     const scripts = '' +
       renderedState +
@@ -66,8 +86,14 @@ module.exports = function createRenderFn ({
 }
 
 function createState (state = {}) {
-  return {
+  const result = {
     data: state.data || null,
     context: state.context || {}
   }
+
+  if (state.static) {
+    result.static = state.static
+  }
+
+  return result
 }
@@ -0,0 +1,50 @@
+const { uniqBy } = require('lodash')
+const pathToRegexp = require('path-to-regexp')
+
+module.exports = app => {
+  let routes = []
+
+  const refresh = () => {
+    routes = uniqBy(app.pages.data(), page => page.route).map(createRoute)
+  }
+
+  refresh()
+
+  return {
+    refresh,
+
+    find (path) {
+      return routes.find(({ regex }) => regex.test(path))
+    }
+  }
+}
+
+function createRoute (page) {
+  const keys = []
+  const regex = pathToRegexp(page.route, keys)
+  const toPath = pathToRegexp.compile(page.route)
+
+  return {
+    regex,
+    path: page.path,
+    route: page.route,
+    query: page.query,
+
+    toParams (url) {
+      const matches = regex.exec(url)
+      const params = {}
+
+      keys.forEach((key, index) => {
+        if (typeof key === 'object') {
+          params[key.name] = matches[index + 1]
+        }
+      })
+
+      return params
+    },
+
+    toPath (params) {
+      return toPath(params)
+    }
+  }
+}
@@ -34,7 +34,7 @@ module.exports = ({ context, config, assets }) => {
         res.header('Expires', '-1')
       }
 
-      res.contentType(ext)
+      res.contentType(options.format || ext)
       res.end(buffer, 'binary')
     }
 
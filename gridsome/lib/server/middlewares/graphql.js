@@ -1,7 +1,7 @@
 const { print } = require('graphql')
 const { createQueryVariables } = require('../../pages/utils')
 
-module.exports = ({ pages }) => {
+module.exports = ({ pages, staticQueries }) => {
   return async function graphqlMiddleware (req, res, next) {
     const { body = {}} = req
 
@@ -10,6 +10,18 @@ module.exports = ({ pages }) => {
       return res.sendStatus(200)
     }
 
+    if (body.staticQuery) {
+      try {
+        const chunk = await staticQueries.getChunk(body.staticQuery)
+
+        return chunk
+          ? res.json({ data: chunk.data })
+          : res.status(404).send({ code: 404, message: `Could not find static query.` })
+      } catch (err) {
+        return res.json({ errors: [{ message: err.message }], data: null })
+      }
+    }
+
     if (body.query || !body.path) {
       return next()
     }
@@ -25,7 +37,16 @@ module.exports = ({ pages }) => {
     }
 
     if (!page.query.document) {
-      return res.json({ extensions: { context: page.context }, data: null })
+      const { data, errors } = await staticQueries.execute(page, body.page)
+
+      if (errors) {
+        return res.json({ errors, data: null })
+      }
+
+      return res.json({
+        extensions: { context: page.context, static: data },
+        data: null
+      })
     }
 
     req.body = {
@@ -0,0 +1,64 @@
+const { omit } = require('lodash')
+const { isAuthorized, sendError } = require('../utils')
+
+// POST   /___nodes/:typeName      add a node
+// PUT    /___nodes/:typeName/:id  update a node
+// DELETE /___nodes/:typeName/:id  remove a node
+module.exports = ({ store }, { token }) => {
+  return function nodesMiddleware (req, res) {
+    const { body = {}} = req
+
+    // browsers send preflight requests without the authorization header
+    if (req.method === 'OPTIONS') {
+      res.header('Access-Control-Allow-Methods', 'POST, PUT, PATCH, DELETE')
+      return res.sendStatus(204)
+    }
+
+    if (!isAuthorized(req.headers.authorization, token)) {
+      return sendError(res, 401, 'Invalid or missing access token')
+    }
+
+    const [typeName, id] = req.path
+      .split('/')
+      .filter(Boolean)
+      .map(decodeURIComponent)
+
+    const contentType = typeName ? store.getContentType(typeName) : null
+
+    if (!contentType) {
+      return sendError(res, 404, `Could not find content type ${typeName}`)
+    }
+
+    if (id && !contentType.getNode(id)) {
+      return sendError(res, 404, `Could not find ${typeName} node with id: ${id}`)
+    }
+
+    try {
+      switch (req.method) {
+        case 'POST':
+          if (id) break
+          return sendNode(res, 201, contentType.addNode(body))
+        case 'PUT':
+        case 'PATCH':
+          if (!id) break
+          return sendNode(res, 200, contentType.updateNode({ ...body, id }))
+        case 'DELETE':
+          if (!id) break
+          contentType.removeNode(id)
+          return res.sendStatus(204)
+      }
+    } catch (err) {
+      return sendError(res, 400, err.message)
+    }
+
+    sendError(res, 405, `Method ${req.method} is not allowed for ${req.originalUrl}`)
+  }
+}
+
+function sendNode (res, status, node) {
+  if (!node) {
+    return sendError(res, 400, 'Failed to save node')
+  }
+
+  res.status(status).json({ node: omit(node, ['$loki', '$uid', 'meta']) })
+}
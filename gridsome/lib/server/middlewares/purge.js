@@ -0,0 +1,25 @@
+const { isAuthorized, sendError } = require('../utils')
+
+// POST /___purge                      purge all cached pages
+// POST /___purge { path: '/about' }   purge a single page
+// POST /___purge { typeName: 'Post' } purge pages for a content type
+module.exports = (cache, { token }) => {
+  return function purgeMiddleware (req, res) {
+    const { body = {}} = req
+
+    if (!isAuthorized(req.headers.authorization, token)) {
+      return sendError(res, 401, 'Invalid or missing access token')
+    }
+
+    if (req.method !== 'POST') {
+      return sendError(res, 405, `Method ${req.method} is not allowed for ${req.originalUrl}`)
+    }
+
+    const purged = cache.purge({
+      path: body.path,
+      typeName: body.typeName
+    })
+
+    res.json({ purged })
+  }
+}
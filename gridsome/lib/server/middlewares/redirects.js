@@ -0,0 +1,16 @@
+module.exports = ({ redirects, config }) => {
+  const { pathPrefix } = config
+
+  return function redirectsMiddleware (req, res, next) {
+    if (!req.path.startsWith(pathPrefix)) return next()
+
+    const match = redirects.match(req.path.substr(pathPrefix.length) || '/')
+
+    if (!match) return next()
+
+    const query = req.originalUrl.split('?')[1]
+    const to = match.to.startsWith('/') ? pathPrefix + match.to : match.to
+
+    res.redirect(match.status, query && !to.includes('?') ? `${to}?${query}` : to)
+  }
+}
@@ -1,60 +1,124 @@
-const LRU = require('lru-cache')
 const createRenderFn = require('../createRenderFn')
 const { createQueryVariables } = require('../../pages/utils')
+const { error } = require('../../utils/log')
 
-module.exports = (app, routes) => {
+module.exports = (app, routes, cache) => {
   const render = createRenderFn({
     htmlTemplate: app.config.htmlTemplate,
     clientManifestPath: app.config.clientManifestPath,
-    serverBundlePath: app.config.serverBundlePath
+    serverBundlePath: app.config.serverBundlePath,
+    maxStateSize: app.config.maxStateSize,
+    staticData: () => app.staticQueries.getChunkData()
   })
 
-  const cache = new LRU({
-    maxAge: app.config.maxCacheAge,
-    max: 100
-  })
+  const pending = {}
 
-  return async ({ url }, res, next) => {
-    const cached = cache.get(url)
+  const renderPage = async path => {
+    const version = app.store.lastUpdate
+    const route = routes.find(path)
+    const { page: currentPage, ...params } = route ? route.toParams(path) : {}
+    const page = route ? app.pages.findPage({ path: route.toPath(params) }) : null
 
-    if (cached) {
-      console.log('return cached', url)
-      return res.end(cached)
+    if (!page) {
+      cache.purge({ path })
+      return null
     }
 
-    const route = routes.find(({ regex }) => regex.test(url))
-
-    if (!route) return next()
-
-    const { page: currentPage, ...params } = route.toParams(url)
-    const page = app.pages.findPage({ path: route.toPath(params) })
+    const state = { context: page.context, data: null }
+    const staticResults = await app.staticQueries.execute(page, currentPage)
 
-    if (!page) {
-      return res
-        .status(404)
-        .send({ code: 404, message: `Could not find ${url}` })
+    if (staticResults.errors) {
+      throw staticResults.errors[0]
     }
 
-    const state = { context: page.context, data: null }
+    if (staticResults.data) {
+      state.static = staticResults.data
+    }
 
     if (page.query.document) {
       const variables = createQueryVariables(page, currentPage)
       const results = await app.graphql(page.query.document, variables)
 
       if (results.errors) {
-        next(results.errors[0])
-        return
+        throw results.errors[0]
       }
 
       state.data = results.data
     }
 
+    const html = await render(page.path, state)
+
+    return cache.set(path, { html, page, version })
+  }
+
+  // concurrent requests for the same path share a single render
+  const revalidate = path => {
+    if (!pending[path]) {
+      const done = () => delete pending[path]
+      pending[path] = renderPage(path)
+      pending[path].then(done, done)
+    }
+
+    return pending[path]
+  }
+
+  return async (req, res, next) => {
+    const { path } = req
+    const cached = cache.get(path, app.store.lastUpdate)
+
+    if (cached) {
+      if (cached.isStale) {
+        revalidate(path).catch(err => {
+          error(`Failed to revalidate ${path}: ${err.message}`)
+        })
+      }
+
+      return send(req, res, cached, cached.isStale ? 'STALE' : 'HIT')
+    }
+
+    if (!routes.find(path)) return next()
+
     try {
-      const html = await render(page.path, state)
-      cache.set(url, html)
-      res.end(html)
+      const entry = await revalidate(path)
+
+      if (!entry) {
+        return res
+          .status(404)
+          .send({ code: 404, message: `Could not find ${path}` })
+      }
+
+      send(req, res, entry, 'MISS')
     } catch (err) {
       next(err)
     }
   }
 }
+
+function send (req, res, entry, status) {
+  res.set('Cache-Control', createCacheControl(entry))
+  res.set('ETag', entry.etag)
+  res.set('X-Gridsome-Cache', status)
+
+  if (req.fresh) {
+    return res.status(304).end()
+  }
+
+  res.type('html').send(entry.html)
+}
+
+function createCacheControl ({ policy, age, isStale }) {
+  const maxAge = isStale ? 0 : Math.floor((policy.maxAge - age) / 1000)
+  const staleWhileRevalidate = Math.floor(policy.staleWhileRevalidate / 1000)
+
+  if (maxAge <= 0 && staleWhileRevalidate <= 0) {
+    return 'no-cache'
+  }
+
+  const directives = ['public', `max-age=${Math.max(maxAge, 0)}`]
+
+  if (staleWhileRevalidate > 0) {
+    directives.push(`stale-while-revalidate=${staleWhileRevalidate}`)
+  }
+
+  return directives.join(', ')
+}
@@ -0,0 +1,18 @@
+// Serves the search index from the live store with
+// the same files as the index written by build.
+module.exports = ({ searchIndex }) => {
+  return function searchMiddleware (req, res) {
+    const { manifest, files } = searchIndex.getLiveIndex()
+    const filename = req.path.replace(/^\/+/, '')
+
+    if (filename === 'index.json') {
+      return res.json(manifest)
+    }
+
+    if (!files.hasOwnProperty(filename)) {
+      return res.status(404).json({ code: 404, message: `Could not find ${filename}` })
+    }
+
+    res.type('json').send(files[filename])
+  }
+}
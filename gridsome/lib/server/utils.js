@@ -0,0 +1,23 @@
+const crypto = require('crypto')
+
+exports.isAuthorized = function (header = '', token) {
+  const [type, value = ''] = header.split(' ')
+
+  if (!token || type !== 'Bearer') {
+    return false
+  }
+
+  const valueBuffer = Buffer.from(value)
+  const tokenBuffer = Buffer.from(token)
+
+  // timingSafeEqual throws for buffers with different byte lengths
+  if (valueBuffer.byteLength !== tokenBuffer.byteLength) {
+    return false
+  }
+
+  return crypto.timingSafeEqual(valueBuffer, tokenBuffer)
+}
+
+exports.sendError = function (res, code, message) {
+  res.status(code).json({ code, message })
+}
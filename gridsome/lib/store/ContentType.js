@@ -8,19 +8,30 @@ const EventEmitter = require('eventemitter3')
 const { ISO_8601_FORMAT, NODE_FIELDS } = require('../utils/constants')
 const { cloneDeep, isString, isPlainObject, trim, omit, get } = require('lodash')
 const createNodeOptions = require('./createNodeOptions')
+const { parseTypeDefinition, validateDeclaredFields } = require('../graphql/createDeclaredTypes')
 const { warn } = require('../utils/log')
+const { localizePath } = require('../utils')
 const { parseUrl, createFieldName } = require('./utils')
 
 class ContentType {
   constructor (store, collection, options = {}) {
     this._collection = collection
     this._events = new EventEmitter()
+    this._drafts = new Map()
+    this._draftIds = new Map()
+    this._publishTimer = null
+    this._nextPublishAt = Infinity
 
     this.options = { refs: {}, fields: {}, ...options }
     this.typeName = options.typeName
 
+    for (const fieldName in this.options.fields) {
+      parseTypeDefinition(this.options.fields[fieldName], fieldName)
+    }
+
     this._store = store
     this._transformers = store._transformers
+    this._includeDrafts = store._app.config.drafts === true
     this._camelCasedFieldNames = options.camelCasedFieldNames || false
     this._resolveAbsolutePaths = options.resolveAbsolutePaths || false
     this._assetsContext = typeof options.resolveAbsolutePaths === 'string'
@@ -56,6 +67,7 @@ class ContentType {
   }
 
   addSchemaField (fieldName, options) {
+    parseTypeDefinition(options, fieldName)
     this.options.fields[fieldName] = options
   }
 
@@ -73,6 +85,10 @@ class ContentType {
       node.path = this._createPath(node)
     }
 
+    if (this.options.strict) {
+      validateDeclaredFields(this, node)
+    }
+
     // add transformer to content type to let it
     // extend the node type when creating schema
     const { mimeTypes } = this.options
@@ -81,18 +97,12 @@ class ContentType {
       mimeTypes[mimeType] = this._transformers[mimeType]
     }
 
-    try {
-      this._collection.insert(node)
-      this._store.store.index.insert(entry)
-    } catch (err) {
-      warn(`Failed to add node: ${err.message}`, this.typeName)
-      return null
+    if (!this._isPublished(node)) {
+      this._addDraft(node, entry)
+      return node
     }
 
-    this._store.store.setUpdateTime()
-    this._events.emit('add', node)
-
-    return node
+    return this._insertNode(node, entry)
   }
 
   data () {
@@ -114,6 +124,13 @@ class ContentType {
 
   removeNode (id) {
     const query = typeof id === 'string' ? { id } : id
+    const draft = this._findDraft(query)
+
+    if (draft) {
+      this._removeDraft(draft.node)
+      return
+    }
+
     const node = this._collection.findOne(query)
 
     this._store.store.index.findAndRemove({ uid: node.$uid })
@@ -133,7 +150,9 @@ class ContentType {
     const { nodeOptions, fields, belongsTo } = createNodeOptions(options, this)
 
     const { $uid, id } = nodeOptions
-    const oldNode = this.getNode($uid ? { $uid } : { id })
+    const query = $uid ? { $uid } : { id }
+    const draft = this._findDraft(query)
+    const oldNode = draft ? draft.node : this.getNode(query)
 
     if (!oldNode) {
       throw new Error(`Could not find node to update with id: ${id}`)
@@ -152,6 +171,24 @@ class ContentType {
       node.path = this._createPath(node)
     }
 
+    if (this.options.strict) {
+      validateDeclaredFields(this, node)
+    }
+
+    // move nodes between drafts and the collection
+    // when the publish state has changed
+    if (!this._isPublished(node)) {
+      if (draft) this._removeDraft(draft.node)
+      else this.removeNode({ $uid: node.$uid })
+      delete node.$loki
+      this._addDraft(node, { typeName: this.typeName, uid: node.$uid, id: node.id, belongsTo })
+      return node
+    } else if (draft) {
+      delete node.$loki
+      this._removeDraft(draft.node)
+      return this._insertNode(node, { ...draft.entry, id: node.id, belongsTo })
+    }
+
     const entry = this._store.store.index.findOne({ uid: node.$uid })
 
     entry.belongsTo = belongsTo
@@ -170,10 +207,137 @@ class ContentType {
     return node
   }
 
+  _insertNode (node, entry) {
+    try {
+      this._collection.insert(node)
+      this._store.store.index.insert(entry)
+    } catch (err) {
+      warn(`Failed to add node: ${err.message}`, this.typeName)
+      return null
+    }
+
+    this._store.store.setUpdateTime()
+    this._events.emit('add', node)
+
+    return node
+  }
+
+  // Nodes with `published: false` or a future `publishAt`
+  // date are only included when drafts are enabled.
+  _isPublished (node) {
+    if (this._includeDrafts) return true
+    if (node.published === false) return false
+
+    return this._getPublishTime(node) <= Date.now()
+  }
+
+  _getPublishTime (node) {
+    const publishAt = node.publishAt ? new Date(node.publishAt).getTime() : 0
+
+    return isNaN(publishAt) ? 0 : publishAt
+  }
+
+  _addDraft (node, entry) {
+    this._drafts.set(node.$uid, { node, entry })
+    this._draftIds.set(node.id, node.$uid)
+
+    if (
+      node.published !== false &&
+      this._getPublishTime(node) < this._nextPublishAt
+    ) {
+      this._schedulePublish()
+    }
+  }
+
+  _removeDraft (node) {
+    this._drafts.delete(node.$uid)
+    this._draftIds.delete(node.id)
+  }
+
+  // Scheduled nodes are moved into the collection when their
+  // `publishAt` date has passed while the process is running.
+  _schedulePublish () {
+    clearTimeout(this._publishTimer)
+    this._publishTimer = null
+    this._nextPublishAt = Infinity
+
+    for (const { node } of this._drafts.values()) {
+      if (node.published !== false && node.publishAt) {
+        this._nextPublishAt = Math.min(this._nextPublishAt, this._getPublishTime(node))
+      }
+    }
+
+    if (this._nextPublishAt === Infinity) return
+
+    // setTimeout overflows for delays longer than ~24.8 days
+    const delay = Math.min(Math.max(this._nextPublishAt - Date.now(), 0), 2147483647)
+
+    this._publishTimer = setTimeout(this._publishScheduled, delay)
+    this._publishTimer.unref()
+  }
+
+  _publishScheduled () {
+    for (const { node, entry } of Array.from(this._drafts.values())) {
+      if (this._isPublished(node)) {
+        this._removeDraft(node)
+        this._insertNode(node, entry)
+      }
+    }
+
+    this._schedulePublish()
+  }
+
+  _findDraft (query) {
+    if (query.$uid) return this._drafts.get(query.$uid) || null
+
+    if (query.id && Object.keys(query).length === 1) {
+      return this._drafts.get(this._draftIds.get(query.id)) || null
+    }
+
+    for (const draft of this._drafts.values()) {
+      const isMatch = Object.keys(query).every(key => {
+        return get(draft.node, key) === query[key]
+      })
+
+      if (isMatch) return draft
+    }
+
+    return null
+  }
+
+  // Cached nodes are published, validated and
+  // emitted the same way as nodes from addNode().
+  _restoreNodes (nodes, entries, drafts = []) {
+    const { mimeTypes } = this.options
+    const entriesByUid = new Map(entries.map(entry => [entry.uid, entry]))
+    const restored = nodes
+      .map(node => ({ node, entry: entriesByUid.get(node.$uid) }))
+      .concat(drafts)
+
+    for (const { node, entry } of restored) {
+      const { mimeType } = node.internal
+      if (mimeType && !mimeTypes.hasOwnProperty(mimeType)) {
+        mimeTypes[mimeType] = this._transformers[mimeType]
+      }
+
+      if (this.options.strict) {
+        validateDeclaredFields(this, node)
+      }
+
+      if (this._isPublished(node)) {
+        this._insertNode(node, entry)
+      } else {
+        this._addDraft(node, entry)
+      }
+    }
+  }
+
   _createPath (node) {
+    const { config } = this._store._app
+
     if (!isString(this.options.route)) {
       return isString(node.path)
-        ? '/' + trim(node.path, '/')
+        ? localizePath('/' + trim(node.path, '/'), node.locale, config)
         : null
     }
 
@@ -225,7 +389,11 @@ class ContentType {
       }
     }
 
-    return '/' + trim(this.options.createPath(params), '/')
+    return localizePath(
+      '/' + trim(this.options.createPath(params), '/'),
+      node.locale,
+      config
+    )
   }
 
   //
@@ -11,13 +11,17 @@ const { resolvePath } = require('./utils')
 const { log } = require('../utils/log')
 
 class PluginStore {
-  constructor (app, pluginOptions = {}, { transformers }) {
+  constructor (app, pluginOptions = {}, { transformers, uid }) {
     autoBind(this)
 
     const { typeName, resolveAbsolutePaths } = pluginOptions
 
     this._app = app
+    this._uid = uid
     this._typeName = typeName
+    this._isCached = false
+    this._metaDataKeys = []
+    this._restoredTypes = {}
     this._resolveAbsolutePaths = resolveAbsolutePaths || false
 
     this._transformers = mapValues(transformers || app.config.transformers, transformer => {
@@ -36,9 +40,54 @@ class PluginStore {
   // metadata
 
   addMetaData (key, data) {
+    if (!this._metaDataKeys.includes(key)) {
+      this._metaDataKeys.push(key)
+    }
+
     return this.store.addMetaData(key, data)
   }
 
+  // cache
+
+  useCache (options = {}) {
+    if (typeof options === 'string') {
+      options = { key: options }
+    }
+
+    if (typeof this._uid !== 'string') {
+      throw new Error(`store.useCache() is not available for this plugin.`)
+    }
+
+    const { key = '', ttl = 0 } = options
+    const cached = this.store.getCacheEntry(this._uid)
+    const now = Date.now()
+
+    const isValid = !!cached && cached.key === key && (
+      ttl <= 0 || cached.timestamp + ttl > now
+    )
+
+    this.store.setCacheEntry(this._uid, {
+      timestamp: isValid ? cached.timestamp : now,
+      pluginStore: this,
+      key,
+      ttl
+    })
+
+    if (isValid && !this._isCached) {
+      this._isCached = true
+
+      for (const typeName in this.store.collections) {
+        this._restoreContentType(this.store.getContentType(typeName))
+      }
+
+      for (const { key, data } of cached.metaData) {
+        this.addMetaData(key, data)
+      }
+    }
+
+    return isValid
+  }
+
   // nodes
 
   addType (...args) {
@@ -86,6 +135,11 @@ class PluginStore {
       options.resolveAbsolutePaths = this._resolveAbsolutePaths
     }
 
+    // normalize search fields into field weights
+    const searchFields = Array.isArray(options.searchFields)
+      ? options.searchFields.reduce((acc, key) => ({ ...acc, [key]: 1 }), {})
+      : { ...options.searchFields }
+
     const dateField = options.dateField || 'date'
     const defaultSortBy = dateField
     const defaultSortOrder = 'DESC'
@@ -105,9 +159,12 @@ class PluginStore {
         : null
     }
 
-    return this.store.addContentType(this, {
+    const contentType = this.store.addContentType(this, {
       route: options.route,
+      render: options.render === 'server' ? 'server' : 'static',
       fields: options.fields || {},
+      strict: options.strict === true,
+      searchFields,
       typeName: options.typeName,
       dateField,
       defaultSortBy,
@@ -139,6 +196,12 @@ class PluginStore {
       component,
       refs
     })
+
+    if (this._isCached) {
+      this._restoreContentType(contentType)
+    }
+
+    return contentType
   }
 
   getContentType (type) {
@@ -149,6 +212,25 @@ class PluginStore {
   // misc
   //
 
+  _restoreContentType (contentType) {
+    const { typeName } = contentType
+    const cached = this.store.getCacheEntry(this._uid)
+
+    if (
+      contentType._store !== this ||
+      this._restoredTypes[typeName] ||
+      !cached.collections[typeName]
+    ) {
+      return
+    }
+
+    const { nodes, index, drafts = [] } = cached.collections[typeName]
+
+    contentType._restoreNodes(nodes, index, drafts)
+
+    this._restoredTypes[typeName] = true
+  }
+
   _createInternals (options = {}) {
     return {
       origin: options.origin,
@@ -1,8 +1,10 @@
 const Loki = require('lokijs')
+const fs = require('fs-extra')
 const autoBind = require('auto-bind')
 const EventEmitter = require('eventemitter3')
 const { omit, isArray, isPlainObject } = require('lodash')
 const ContentType = require('./ContentType')
+const { version } = require('../../package.json')
 
 class Store {
   constructor (app) {
@@ -12,6 +14,8 @@ class Store {
     this.taxonomies = {}
     this.lastUpdate = null
     this._events = new EventEmitter()
+    this._cache = null
+    this._cacheEntries = {}
 
     this.setUpdateTime()
 
@@ -83,6 +87,64 @@ class Store {
     })
   }
 
+  // cache
+
+  async loadCache () {
+    const { cacheStore, storeCachePath, drafts } = this.app.config
+
+    if (!cacheStore || !await fs.exists(storeCachePath)) return
+
+    // drafts are in the collections when they are included,
+    // so the cache is only valid with the same drafts option
+    try {
+      const cache = await fs.readJson(storeCachePath)
+      this._cache = cache.version === version && cache.drafts === drafts ? cache : null
+    } catch (err) {
+      this._cache = null
+    }
+  }
+
+  async saveCache () {
+    const { cacheStore, storeCachePath, drafts } = this.app.config
+
+    if (!cacheStore) return
+
+    const plugins = {}
+
+    for (const uid in this._cacheEntries) {
+      const { pluginStore, key, ttl, timestamp } = this._cacheEntries[uid]
+      const collections = {}
+
+      for (const typeName in this.collections) {
+        const contentType = this.collections[typeName]
+
+        if (contentType._store !== pluginStore) continue
+
+        collections[typeName] = {
+          nodes: contentType.collection.find().map(node => omit(node, ['$loki', 'meta'])),
+          index: this.index.find({ typeName }).map(entry => omit(entry, ['$loki', 'meta'])),
+          drafts: Array.from(contentType._drafts.values())
+        }
+      }
+
+      const metaData = pluginStore._metaDataKeys.map(key => {
+        return { key, data: this.metaData.findOne({ key }).data }
+      })
+
+      plugins[uid] = { key, ttl, timestamp, collections, metaData }
+    }
+
+    await fs.outputJson(storeCachePath, { version, drafts, plugins })
+  }
+
+  getCacheEntry (uid) {
+    return this._cache ? this._cache.plugins[uid] : undefined
+  }
+
+  setCacheEntry (uid, entry) {
+    this._cacheEntries[uid] = entry
+  }
+
   // utils
 
   setUpdateTime () {
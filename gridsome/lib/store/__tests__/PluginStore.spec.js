@@ -1,9 +1,12 @@
+const os = require('os')
+const path = require('path')
+const fs = require('fs-extra')
 const App = require('../../app/App')
 const PluginAPI = require('../../app/PluginAPI')
 const JSONTransformer = require('./__fixtures__/JSONTransformer')
 
-function createPlugin (context = '/') {
-  const app = new App(context, { config: { plugins: [] }}).init()
+function createPlugin (context = '/', config = {}) {
+  const app = new App(context, { config: { plugins: [], ...config }}).init()
   const api = new PluginAPI(app, {
     entry: { options: {}, clientOptions: undefined },
     transformers: {
@@ -302,6 +305,24 @@ test('add type with dynamic route', () => {
   expect(node.path).toEqual('/2018/09/04/lorem-ipsum-dolor-sit-amet')
 })
 
+test('prefix node paths with locale', () => {
+  const api = createPlugin('/', { locales: ['en', 'de'], defaultLocale: 'en' })
+  const contentType = api.store.addContentType({
+    typeName: 'TestPost',
+    route: '/blog/:slug'
+  })
+
+  const node1 = contentType.addNode({ slug: 'hello', locale: 'en' })
+  const node2 = contentType.addNode({ slug: 'hallo', locale: 'de' })
+  const node3 = contentType.addNode({ slug: 'bonjour', locale: 'fr' })
+  const node4 = api.store.addContentType('TestPage').addNode({ path: '/de/about', locale: 'de' })
+
+  expect(node1.path).toEqual('/blog/hello')
+  expect(node2.path).toEqual('/de/blog/hallo')
+  expect(node3.path).toEqual('/blog/bonjour')
+  expect(node4.path).toEqual('/de/about')
+})
+
 test.each([
   ['foo/bar', '/foo/bar'],
   ['//foo/bar', '/foo/bar']
@@ -773,3 +794,237 @@ test('experimental: add transformer', async () => {
 
   expect(node.test).toEqual(true)
 })
+
+test('restore cached nodes with store.useCache()', async () => {
+  const storeCachePath = path.join(os.tmpdir(), `gridsome-store-${Date.now()}.json`)
+  const config = { plugins: [], cacheStore: true, storeCachePath }
+
+  const createCachedPlugin = async () => {
+    const app = new App('/', { config }).init()
+    const api = new PluginAPI(app, { entry: { uid: 'plugin', options: {}}})
+
+    await app.store.loadCache()
+
+    return api
+  }
+
+  const api1 = await createCachedPlugin()
+
+  expect(api1.store.useCache({ key: 'v1' })).toEqual(false)
+
+  api1.store.addMetaData('cachedValue', 'foo')
+  api1.store.addContentType('TestPost').addNode({ id: '1', title: 'Lorem' })
+
+  await api1._app.store.saveCache()
+
+  const api2 = await createCachedPlugin()
+  const contentType = api2.store.addContentType('TestPost')
+  const emit = jest.spyOn(contentType._events, 'emit')
+
+  expect(api2.store.useCache({ key: 'v1' })).toEqual(true)
+  expect(contentType.getNode('1')).toMatchObject({ id: '1', title: 'Lorem' })
+  expect(emit).toHaveBeenCalledWith('add', expect.objectContaining({ id: '1' }))
+  expect(api2._app.store.chainIndex({ typeName: 'TestPost' }).data()).toHaveLength(1)
+  expect(api2._app.store.metaData.findOne({ key: 'cachedValue' }).data).toEqual('foo')
+
+  await api2._app.store.saveCache()
+
+  const api3 = await createCachedPlugin()
+
+  expect(api3.store.useCache({ key: 'v2' })).toEqual(false)
+  expect(api3.store.addContentType('TestPost').data()).toHaveLength(0)
+
+  await fs.remove(storeCachePath)
+})
+
+test('expire cached nodes with store.useCache()', async () => {
+  const storeCachePath = path.join(os.tmpdir(), `gridsome-store-${Date.now()}.json`)
+  const config = { plugins: [], cacheStore: true, storeCachePath }
+
+  const app1 = new App('/', { config }).init()
+  const api1 = new PluginAPI(app1, { entry: { uid: 'plugin', options: {}}})
+
+  api1.store.useCache({ key: 'v1', ttl: 1000 })
+  api1.store.addContentType('TestPost').addNode({ id: '1' })
+
+  await app1.store.saveCache()
+
+  const now = Date.now
+
+  try {
+    Date.now = () => now() + 2000
+
+    const app2 = new App('/', { config }).init()
+    const api2 = new PluginAPI(app2, { entry: { uid: 'plugin', options: {}}})
+
+    await app2.store.loadCache()
+
+    expect(api2.store.useCache({ key: 'v1', ttl: 1000 })).toEqual(false)
+    expect(api2.store.addContentType('TestPost').data()).toHaveLength(0)
+  } finally {
+    Date.now = now
+    await fs.remove(storeCachePath)
+  }
+})
+
+test('restore cached drafts and scheduled nodes', async () => {
+  const storeCachePath = path.join(os.tmpdir(), `gridsome-store-${Date.now()}.json`)
+  const config = { plugins: [], cacheStore: true, storeCachePath }
+  const publishAt = Date.now() + 60000
+  const now = Date.now
+
+  const createCachedPlugin = async () => {
+    const app = new App('/', { config }).init()
+    const api = new PluginAPI(app, { entry: { uid: 'plugin', options: {}}})
+
+    await app.store.loadCache()
+
+    return api
+  }
+
+  const api1 = await createCachedPlugin()
+  const posts1 = api1.store.addContentType('TestPost')
+
+  api1.store.useCache({ key: 'v1' })
+  posts1.addNode({ id: '1', published: false })
+  posts1.addNode({ id: '2', publishAt: new Date(publishAt).toISOString() })
+  posts1.addNode({ id: '3', publishAt: new Date(publishAt * 2).toISOString() })
+
+  await api1._app.store.saveCache()
+
+  try {
+    Date.now = () => publishAt
+
+    const api2 = await createCachedPlugin()
+    const posts2 = api2.store.addContentType('TestPost')
+
+    expect(api2.store.useCache({ key: 'v1' })).toEqual(true)
+    expect(posts2.data().map(node => node.id)).toEqual(['2'])
+    expect(posts2._drafts.size).toEqual(2)
+    expect(posts2._nextPublishAt).toEqual(publishAt * 2)
+
+    Date.now = () => publishAt * 2
+    posts2._publishScheduled()
+
+    expect(posts2.data().map(node => node.id)).toEqual(['2', '3'])
+    expect(posts2.getNode('1')).toBeNull()
+  } finally {
+    Date.now = now
+    await fs.remove(storeCachePath)
+  }
+})
+
+test('validate cached nodes in strict mode', async () => {
+  const storeCachePath = path.join(os.tmpdir(), `gridsome-store-${Date.now()}.json`)
+  const config = { plugins: [], cacheStore: true, storeCachePath }
+
+  const createCachedPlugin = async () => {
+    const app = new App('/', { config }).init()
+    const api = new PluginAPI(app, { entry: { uid: 'plugin', options: {}}})
+
+    await app.store.loadCache()
+
+    return api
+  }
+
+  try {
+    const api1 = await createCachedPlugin()
+
+    api1.store.useCache({ key: 'v1' })
+    api1.store.addContentType('TestPost').addNode({ id: '1', title: 'Lorem' })
+
+    await api1._app.store.saveCache()
+
+    const api2 = await createCachedPlugin()
+
+    api2.store.addContentType({
+      typeName: 'TestPost',
+      strict: true,
+      fields: { title: 'Int' }
+    })
+
+    expect(() => api2.store.useCache({ key: 'v1' }))
+      .toThrow('Field "title" on TestPost node "1" must be of type Int.')
+  } finally {
+    await fs.remove(storeCachePath)
+  }
+})
+
+test('exclude drafts and scheduled nodes', () => {
+  const api = createPlugin()
+  const contentType = api.store.addContentType('TestPost')
+  const publishAt = new Date(Date.now() + 60000).toISOString()
+
+  contentType.addNode({ id: '1' })
+  contentType.addNode({ id: '2', published: false })
+  contentType.addNode({ id: '3', publishAt })
+  contentType.addNode({ id: '4', publishAt: '2019-01-01' })
+
+  expect(contentType.data().map(node => node.id)).toEqual(['1', '4'])
+  expect(contentType.getNode('2')).toBeNull()
+  expect(api.store.store.index.find({ typeName: 'TestPost' })).toHaveLength(2)
+})
+
+test('include drafts when enabled', () => {
+  const api = createPlugin('/', { drafts: true })
+  const contentType = api.store.addContentType('TestPost')
+
+  contentType.addNode({ id: '1', published: false })
+  contentType.addNode({ id: '2', publishAt: new Date(Date.now() + 60000) })
+
+  expect(contentType.data()).toHaveLength(2)
+})
+
+test('move nodes in and out of drafts when updated', () => {
+  const api = createPlugin()
+  const contentType = api.store.addContentType('TestPost')
+  const emit = jest.spyOn(contentType._events, 'emit')
+
+  contentType.addNode({ id: '1', title: 'Post', published: false })
+  expect(emit).not.toHaveBeenCalled()
+
+  const node = contentType.updateNode({ id: '1', published: true })
+
+  expect(node.title).toEqual('Post')
+  expect(contentType.getNode('1').published).toEqual(true)
+  expect(emit).toHaveBeenCalledWith('add', node)
+
+  contentType.updateNode({ id: '1', published: false })
+
+  expect(contentType.getNode('1')).toBeNull()
+  expect(emit).toHaveBeenLastCalledWith('remove', expect.objectContaining({ id: '1' }))
+  expect(api.store.store.index.find({ typeName: 'TestPost' })).toHaveLength(0)
+
+  contentType.removeNode('1')
+  expect(() => contentType.updateNode({ id: '1', published: true })).toThrow('Could not find node')
+})
+
+test('publish scheduled nodes when the date has passed', () => {
+  const api = createPlugin()
+  const contentType = api.store.addContentType('TestPost')
+  const emit = jest.spyOn(contentType._events, 'emit')
+  const publishAt = Date.now() + 60000
+  const now = Date.now
+
+  contentType.addNode({ id: '1', publishAt: new Date(publishAt).toISOString() })
+  contentType.addNode({ id: '2', publishAt: new Date(publishAt + 60000).toISOString() })
+
+  expect(contentType._nextPublishAt).toEqual(publishAt)
+  expect(contentType.data()).toHaveLength(0)
+
+  try {
+    Date.now = () => publishAt
+    contentType._publishScheduled()
+  } finally {
+    Date.now = now
+  }
+
+  expect(contentType.data().map(node => node.id)).toEqual(['1'])
+  expect(emit).toHaveBeenCalledWith('add', expect.objectContaining({ id: '1' }))
+  expect(contentType._nextPublishAt).toEqual(publishAt + 60000)
+
+  contentType.removeNode('2')
+  contentType._publishScheduled()
+
+  expect(contentType._publishTimer).toBeNull()
+})
@@ -19,6 +19,9 @@ module.exports = {
 
   NODE_FIELDS: ['$uid', '$loki', 'internal', 'id', '_id'],
 
+  // shared by the search index and the client
+  TOKEN_SEPARATOR: /[\s\-–—.,:;!?'"`´’“”()[\]{}<>/\\|~@#$%^&*+=_]+/,
+
   SORT_ORDER: 'DESC',
   PER_PAGE: 25,
 
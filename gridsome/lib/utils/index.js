@@ -27,6 +27,22 @@ exports.safeKey = function (value) {
   return String(value).replace(/\./g, '-')
 }
 
+// Prefixes a path with a locale unless it's the default locale
+// or the path already is prefixed with the locale.
+exports.localizePath = function (value, locale, { locales = [], defaultLocale } = {}) {
+  if (!locale || locale === defaultLocale || !locales.includes(locale)) {
+    return value
+  }
+
+  const segments = value.split('/').filter(v => !!v)
+
+  if (segments[0] !== locale) {
+    segments.unshift(locale)
+  }
+
+  return `/${segments.join('/')}`
+}
+
 exports.createPath = function (value, page = 1, isIndex = true) {
   const _segments = value.split('/').filter(v => !!v)
 
@@ -15,6 +15,13 @@ function warmupSharp (sharp) {
   return isWarming
 }
 
+// AVIF output is only available in newer versions of sharp
+function supportsFormat (sharp, format) {
+  const info = sharp.format ? sharp.format[format] : null
+  return Boolean(info && info.output && info.output.buffer)
+}
+
 module.exports = {
-  warmupSharp
+  warmupSharp,
+  supportsFormat
 }
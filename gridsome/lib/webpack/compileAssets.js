@@ -1,4 +1,46 @@
 module.exports = async (app, defines = {}) => {
+  const compiler = await createCompiler(app, defines)
+
+  return new Promise((resolve, reject) => {
+    compiler.run((err, stats) => {
+      err = err || getStatsError(stats)
+
+      if (err) reject(err)
+      else resolve(stats.toJson({ modules: false }))
+    })
+  })
+}
+
+// Compiles the assets and keeps watching for changes. The
+// promise resolves with the stats from the first compilation.
+module.exports.watch = async (app, defines = {}, { onInvalid, onDone }) => {
+  const compiler = await createCompiler(app, defines)
+
+  let lastHash = null
+
+  return new Promise((resolve, reject) => {
+    compiler.hooks.invalid.tap('Gridsome', () => onInvalid())
+
+    compiler.watch({}, (err, stats) => {
+      err = err || getStatsError(stats)
+
+      if (!lastHash) {
+        if (err) return reject(err)
+        lastHash = stats.hash
+        resolve(stats.toJson({ modules: false }))
+      } else if (err) {
+        onDone(err, null)
+      } else if (stats.hash !== lastHash) {
+        lastHash = stats.hash
+        onDone(null, stats.toJson({ modules: false }))
+      } else {
+        onDone(null, null)
+      }
+    })
+  })
+}
+
+async function createCompiler (app, defines) {
   const webpack = require('webpack')
 
   const clientChain = await app.resolveChainableWebpackConfig()
@@ -19,16 +61,14 @@ module.exports = async (app, defines = {}) => {
     app.resolveWebpackConfig(false, clientChain)
   ])
 
-  return new Promise((resolve, reject) => {
-    webpack([clientConfig, serverConfig]).run((err, stats) => {
-      if (err) return reject(err)
+  return webpack([clientConfig, serverConfig])
+}
 
-      if (stats.hasErrors()) {
-        const { errors } = stats.toJson()
-        return reject(errors[0])
-      }
+function getStatsError (stats) {
+  if (stats.hasErrors()) {
+    const { errors } = stats.toJson()
+    return errors[0]
+  }
 
-      resolve(stats.toJson({ modules: false }))
-    })
-  })
+  return null
 }
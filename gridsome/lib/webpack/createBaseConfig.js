@@ -80,7 +80,7 @@ module.exports = (app, { isProd, isServer }) => {
         preserveWhitespace: false,
         modules: [
           require('./modules/html')(),
-          require('./modules/assets')()
+          require('./modules/assets')(projectConfig)
         ]
       },
       cacheDirectory,
@@ -242,6 +242,7 @@ module.exports = (app, { isProd, isServer }) => {
       context: app.context,
       isProd,
       isServer,
+      remoteHosts: projectConfig.images.remoteHosts,
       config: (
         (projectConfig.chainWebpack || '').toString()
       )
@@ -4,12 +4,12 @@ module.exports = async function (source, map) {
   const callback = this.async()
 
   const { queue } = process.GRIDSOME
-  const options = utils.parseQuery(this.query || '?')
+  const { url, ...options } = utils.parseQuery(this.query || '?')
 
   let asset
 
   try {
-    asset = await queue.add(this.resourcePath, options)
+    asset = await queue.add(url || this.resourcePath, options)
   } catch (err) {
     callback(err, source, map)
     return
@@ -1,38 +1,47 @@
 const isUrl = require('is-url')
 const isRelative = require('is-relative')
+const RemoteImageCache = require('../../app/queue/RemoteImageCache')
 
-module.exports = () => ({
-  postTransformNode (node) {
-    if (node.tag === 'g-link') {
-      transformNodeAttr(node, 'to')
-    }
+module.exports = config => {
+  const remoteImages = config ? new RemoteImageCache({ config }) : null
+
+  return {
+    postTransformNode (node) {
+      if (node.tag === 'g-link') {
+        transformNodeAttr(node, 'to')
+      }
 
-    if (node.tag === 'g-image') {
-      transformNodeAttr(node, 'src')
+      if (node.tag === 'g-image') {
+        transformNodeAttr(node, 'src', remoteImages)
+      }
     }
   }
-})
+}
 
-function transformNodeAttr (node, attrName) {
+function transformNodeAttr (node, attrName, remoteImages) {
   if (!Array.isArray(node.attrs)) return
 
   for (const attr of node.attrs) {
     if (attr.name === attrName) {
       if (isStatic(attr.value)) {
-        attr.value = transformAttrValue(node, attr)
+        attr.value = transformAttrValue(node, attr, remoteImages)
         break
       }
     }
   }
 }
 
-function transformAttrValue (node, attr) {
+function transformAttrValue (node, attr, remoteImages) {
   const value = extractValue(attr.value)
   let result = attr.value
 
   if (!isUrl(value) && isRelative(value)) {
     const query = createOptionsQuery(node.attrs)
     result = `require("!!assets-loader?${query}!${value}")`
+  } else if (remoteImages && remoteImages.isAllowed(value)) {
+    // the loader itself is used as resource for remote images
+    const query = createOptionsQuery(node.attrs, { url: value })
+    result = `require("!!assets-loader?${query}!${require.resolve('../loaders/assets-loader')}")`
   }
 
   return result
@@ -46,11 +55,12 @@ function extractValue (value) {
   return value.substr(1, value.length - 2)
 }
 
-function createOptionsQuery (attrs) {
+function createOptionsQuery (attrs, extra = {}) {
   return attrs
     .filter(attr => attr.name !== 'src')
     .filter(attr => isStatic(attr.value))
     .map(attr => ({ name: attr.name, value: extractValue(attr.value) }))
+    .concat(Object.keys(extra).map(name => ({ name, value: extra[name] })))
     .map(attr => `${attr.name}=${encodeURIComponent(attr.value)}`)
     .join('&')
 }
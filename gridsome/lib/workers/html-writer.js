@@ -1,23 +1,36 @@
 const fs = require('fs-extra')
+const hirestime = require('hirestime')
 const createRenderFn = require('../server/createRenderFn')
 
 exports.render = async function ({
   pages,
+  staticQueries = {},
   htmlTemplate,
   clientManifestPath,
-  serverBundlePath
+  serverBundlePath,
+  maxStateSize
 }) {
+  const staticData = {}
+
+  for (const id in staticQueries) {
+    staticData[id] = await fs.readJson(staticQueries[id])
+  }
+
   const render = createRenderFn({
     htmlTemplate,
     clientManifestPath,
-    serverBundlePath
+    serverBundlePath,
+    maxStateSize,
+    staticData
   })
 
-  let page, html, state, stateSize
+  let page, html, state, stateSize, timer
   const length = pages.length
+  const renderTimes = {}
 
   for (let i = 0; i < length; i++) {
     page = pages[i]
+    timer = hirestime()
     state = undefined
     stateSize = undefined
 
@@ -28,8 +41,12 @@ exports.render = async function ({
       state = JSON.parse(content)
     }
 
-    html = await render(page.path, state, stateSize)
+    html = await render(page.path, state, stateSize, page.inlineState)
 
     await fs.outputFile(page.htmlOutput, html)
+
+    renderTimes[page.path] = timer(hirestime.MS)
   }
+
+  return renderTimes
 }
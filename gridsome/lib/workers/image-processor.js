@@ -23,6 +23,7 @@ exports.processImage = async function ({
   }
 
   const { ext } = path.parse(filePath)
+  const outputExt = options.format ? `.${options.format}` : ext
   let buffer = await fs.readFile(filePath)
 
   if (['.png', '.jpeg', '.jpg', '.webp'].includes(ext)) {
@@ -53,7 +54,7 @@ exports.processImage = async function ({
       pipeline = pipeline.resize(resizeOptions)
     }
 
-    if (/\.png$/.test(ext)) {
+    if (/\.png$/.test(outputExt)) {
       const quality = config.quality / 100
 
       pipeline = pipeline.png({
@@ -65,7 +66,7 @@ exports.processImage = async function ({
       }))
     }
 
-    if (/\.jpe?g$/.test(ext)) {
+    if (/\.jpe?g$/.test(outputExt)) {
       pipeline = pipeline.jpeg({
         progressive: config.jpegProgressive,
         quality: config.quality
@@ -76,7 +77,7 @@ exports.processImage = async function ({
       }))
     }
 
-    if (/\.webp$/.test(ext)) {
+    if (/\.webp$/.test(outputExt)) {
       pipeline = pipeline.webp({
         quality: config.quality
       })
@@ -85,6 +86,12 @@ exports.processImage = async function ({
       }))
     }
 
+    if (/\.avif$/.test(outputExt)) {
+      pipeline = pipeline.avif({
+        quality: config.quality
+      })
+    }
+
     buffer = await pipeline.toBuffer()
     buffer = await imagemin.buffer(buffer, { plugins })
   }
@@ -0,0 +1,106 @@
+const path = require('path')
+const fs = require('fs-extra')
+const critical = require('critical')
+const CriticalPlugin = require('../index')
+
+const { groupPages, createCacheKey } = CriticalPlugin
+
+jest.mock('critical', () => ({
+  generate: jest.fn(() => Promise.resolve('a{color:red}'))
+}))
+
+const context = path.join(__dirname, '__fixtures__')
+const outDir = path.join(context, 'dist')
+const cacheDir = path.join(context, '.cache')
+
+afterEach(() => fs.remove(context))
+
+test('group pages by route', () => {
+  const pages = [
+    { path: '/', route: '/' },
+    { path: '/blog/one', route: '/blog/:slug' },
+    { path: '/blog/two', route: '/blog/:slug' }
+  ]
+
+  expect(groupPages(pages)).toHaveLength(3)
+  expect(groupPages(pages, true)).toEqual([
+    { key: '/', pages: [pages[0]] },
+    { key: '/blog/:slug', pages: [pages[1], pages[2]] }
+  ])
+})
+
+test('create cache key from stylesheet urls', () => {
+  const html = '<link rel="stylesheet" href="/assets/css/styles.abc.css">'
+  const changed = '<link rel="stylesheet" href="/assets/css/styles.def.css">'
+  const options = { dimensions: [{ width: 1300, height: 900 }] }
+
+  expect(createCacheKey('/', html, options)).toEqual(createCacheKey('/', `<p>Text</p>${html}`, options))
+  expect(createCacheKey('/', html, options)).not.toEqual(createCacheKey('/', changed, options))
+  expect(createCacheKey('/', html, options)).not.toEqual(createCacheKey('/about', html, options))
+})
+
+test('extract critical css once per template and cache results', async () => {
+  const html = '<html><head><link rel="stylesheet" href="/styles.abc.css"></head><body></body></html>'
+  const queue = ['/', '/blog/one', '/blog/two'].map(pagePath => ({
+    path: pagePath,
+    route: pagePath === '/' ? '/' : '/blog/:slug',
+    htmlOutput: path.join(outDir, pagePath, 'index.html')
+  }))
+
+  const run = async () => {
+    let afterBuild
+
+    const api = { afterBuild: fn => (afterBuild = fn) }
+    const options = {
+      ...CriticalPlugin.defaultOptions(),
+      paths: ['/', '/blog/*'],
+      perTemplate: true,
+      polyfill: false
+    }
+
+    for (const { htmlOutput } of queue) {
+      await fs.outputFile(htmlOutput, html)
+    }
+
+    CriticalPlugin(api, options)
+
+    await afterBuild({ queue, config: { outDir, cacheDir, pathPrefix: '' }})
+  }
+
+  await run()
+
+  expect(critical.generate).toHaveBeenCalledTimes(2)
+  expect(critical.generate.mock.calls[0][0].dimensions).toEqual([{ width: 1300, height: 900 }])
+
+  for (const { htmlOutput } of queue) {
+    const content = await fs.readFile(htmlOutput, 'utf8')
+    expect(content).toMatch('<style id="___critical-css">a{color:red}</style>')
+  }
+
+  await run()
+
+  expect(critical.generate).toHaveBeenCalledTimes(2)
+})
+
+test('skip pages which already have critical css', async () => {
+  const html = '<html><head><link rel="stylesheet" href="/styles.abc.css"></head><body></body></html>'
+  const htmlOutput = path.join(outDir, 'index.html')
+  const queue = [{ path: '/', route: '/', htmlOutput }]
+  const options = { ...CriticalPlugin.defaultOptions(), polyfill: false, cache: false }
+
+  await fs.outputFile(htmlOutput, html)
+
+  for (let i = 0; i < 2; i++) {
+    let afterBuild
+
+    CriticalPlugin({ afterBuild: fn => (afterBuild = fn) }, options)
+
+    await afterBuild({ queue, config: { outDir, cacheDir, pathPrefix: '' }})
+  }
+
+  const content = await fs.readFile(htmlOutput, 'utf8')
+
+  expect(content.match(/id="___critical-css"/g)).toHaveLength(1)
+  expect(content.match(/<noscript>/g)).toHaveLength(1)
+  expect(content).toMatch('as="style"')
+})
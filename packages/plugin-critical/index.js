@@ -1,4 +1,7 @@
+const path = require('path')
 const fs = require('fs-extra')
+const pMap = require('p-map')
+const crypto = require('crypto')
 const critical = require('critical')
 const micromatch = require('micromatch')
 
@@ -7,40 +10,60 @@ const {
   inlineCriticalCSS
 } = require('./lib/inline')
 
-module.exports = function (api, options) {
+function CriticalPlugin (api, options) {
   api.afterBuild(async ({ queue, config }) => {
-    const { outDir: base, pathPrefix, publicPath } = config
+    const { outDir: base, pathPrefix, publicPath, cacheDir } = config
+    const cachePath = path.join(cacheDir, 'critical.json')
+    const cache = options.cache ? await readCache(cachePath) : {}
+    const dimensions = options.dimensions || [
+      { width: options.width, height: options.height }
+    ]
 
-    const pages = queue.filter(page => {
-      return micromatch(page.path, options.paths).length
-    })
+    const pages = []
+
+    for (const page of queue) {
+      if (!page.htmlOutput || !micromatch(page.path, options.paths).length) continue
+
+      // pages which were not rendered again in an
+      // incremental build have been processed already
+      if (await isProcessed(page.htmlOutput)) continue
+
+      pages.push(page)
+    }
+
+    const groups = groupPages(pages, options.perTemplate)
+    const results = {}
 
     console.log(`Extract critical CSS (${pages.length} pages)`)
 
-    await Promise.all(pages.map(async ({ htmlOutput }) => {
-      const sourceHTML = await fs.readFile(htmlOutput, 'utf-8')
+    await pMap(groups, async ({ key, pages }) => {
+      const sourceHTML = await fs.readFile(pages[0].htmlOutput, 'utf-8')
+      const cacheKey = createCacheKey(key, sourceHTML, { ...options, dimensions })
       let polyfill = ''
-      let css = ''
-
-      try {
-        css = await critical.generate({
-          ignore: options.ignore,
-          width: options.width,
-          height: options.height,
-          // TODO: remove pathPrefix fallback
-          pathPrefix: publicPath || pathPrefix || '/',
-          html: sourceHTML,
-          inline: false,
-          minify: true,
-          base
-        })
-      } catch (err) {
-        console.log(err.message)
-        return
+      let css = cache[cacheKey]
+
+      if (typeof css !== 'string') {
+        try {
+          css = await critical.generate({
+            ignore: options.ignore,
+            dimensions,
+            // TODO: remove pathPrefix fallback
+            pathPrefix: publicPath || pathPrefix || '/',
+            html: sourceHTML,
+            inline: false,
+            minify: true,
+            base
+          })
+        } catch (err) {
+          console.log(err.message)
+          return
+        }
+
+        // remove path prefix from hashed urls
+        css = css.replace(/="url\([/\w]+%23(\w+)\)"/g, '="url(%23$1)"')
       }
 
-      // remove path prefix from hashed urls
-      css = css.replace(/="url\([/\w]+%23(\w+)\)"/g, '="url(%23$1)"')
+      results[cacheKey] = css
 
       if (options.polyfill) {
         polyfill = createPolyfillScript()
@@ -48,17 +71,83 @@ module.exports = function (api, options) {
 
       // we manually inline critical css because cheerio is messing
       // up the markup from Vue server renderer
-      const resultHTML = await inlineCriticalCSS(htmlOutput, { css, polyfill })
+      for (const { htmlOutput } of pages) {
+        const resultHTML = await inlineCriticalCSS(htmlOutput, { css, polyfill })
+        await fs.outputFile(htmlOutput, resultHTML)
+      }
+    }, {
+      concurrency: options.concurrency
+    })
 
-      return fs.outputFile(htmlOutput, resultHTML)
-    }))
+    if (options.cache) {
+      await fs.outputFile(cachePath, JSON.stringify(results))
+    }
   })
 }
 
+// Pages are grouped by their route when extracting per template.
+// Each group is extracted once from the HTML of the first page.
+function groupPages (pages, perTemplate = false) {
+  const groups = new Map()
+
+  for (const page of pages) {
+    const key = perTemplate && page.route ? page.route : page.path
+
+    if (!groups.has(key)) groups.set(key, [])
+
+    groups.get(key).push(page)
+  }
+
+  return Array.from(groups, ([key, pages]) => ({ key, pages }))
+}
+
+// The stylesheet urls includes the content hash for each CSS file.
+function createCacheKey (key, html, { ignore, dimensions }) {
+  const stylesheets = []
+  const linkRE = /<link[^>]+rel="stylesheet"[^>]*>/g
+  let match
+
+  while ((match = linkRE.exec(html))) {
+    const href = /href="([^"]+)"/.exec(match[0])
+    if (href) stylesheets.push(href[1])
+  }
+
+  const string = JSON.stringify({ key, stylesheets, ignore, dimensions })
+
+  return crypto.createHash('md5').update(string).digest('hex')
+}
+
+// missing files are skipped as well
+async function isProcessed (htmlOutput) {
+  try {
+    const html = await fs.readFile(htmlOutput, 'utf-8')
+    return html.includes('<style id="___critical-css">')
+  } catch (err) {
+    return true
+  }
+}
+
+async function readCache (cachePath) {
+  try {
+    return await fs.readJson(cachePath)
+  } catch (err) {
+    return {}
+  }
+}
+
+module.exports = CriticalPlugin
+
+module.exports.groupPages = groupPages
+module.exports.createCacheKey = createCacheKey
+
 module.exports.defaultOptions = () => ({
   paths: ['/'],
   ignore: undefined,
   polyfill: true,
+  perTemplate: false,
+  concurrency: 2,
+  cache: true,
+  dimensions: null,
   width: 1300,
   height: 900
 })
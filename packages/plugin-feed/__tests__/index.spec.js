@@ -0,0 +1,132 @@
+const path = require('path')
+const fs = require('fs-extra')
+const App = require('gridsome/lib/app/App')
+const { BOOTSTRAP_PAGES } = require('gridsome/lib/utils/constants')
+const { createRSS, createAtom, createJSONFeed } = require('../lib/feeds')
+const { createItem, createSelection } = require('../index')
+
+const feed = {
+  title: 'My <Blog>',
+  description: 'Posts & notes',
+  homePageUrl: 'https://example.com/',
+  feedUrl: 'https://example.com/rss.xml',
+  updated: new Date('2019-06-01T10:00:00Z')
+}
+
+const items = [
+  {
+    url: 'https://example.com/post-1',
+    title: 'Post 1',
+    date: new Date('2019-06-01T10:00:00Z'),
+    description: 'Summary',
+    author: 'Jane',
+    content: '<p>Hello</p>'
+  }
+]
+
+test('create rss feed', () => {
+  const xml = createRSS(feed, items)
+
+  expect(xml).toMatch('<title>My &lt;Blog&gt;</title>')
+  expect(xml).toMatch('<atom:link href="https://example.com/rss.xml" rel="self" type="application/rss+xml"/>')
+  expect(xml).toMatch('<guid isPermaLink="true">https://example.com/post-1</guid>')
+  expect(xml).toMatch('<pubDate>Sat, 01 Jun 2019 10:00:00 GMT</pubDate>')
+  expect(xml).toMatch('<content:encoded>&lt;p&gt;Hello&lt;/p&gt;</content:encoded>')
+  expect(xml).toMatch('<dc:creator>Jane</dc:creator>')
+})
+
+test('create atom feed', () => {
+  const xml = createAtom(feed, items)
+
+  expect(xml).toMatch('<feed xmlns="http://www.w3.org/2005/Atom">')
+  expect(xml).toMatch('<updated>2019-06-01T10:00:00.000Z</updated>')
+  expect(xml).toMatch('<author><name>Jane</name></author>')
+  expect(xml).toMatch('<content type="html">&lt;p&gt;Hello&lt;/p&gt;</content>')
+})
+
+test('create json feed', () => {
+  const json = JSON.parse(createJSONFeed(feed, items))
+
+  expect(json.version).toEqual('https://jsonfeed.org/version/1')
+  expect(json.feed_url).toEqual('https://example.com/rss.xml')
+  expect(json.items[0]).toEqual({
+    id: 'https://example.com/post-1',
+    url: 'https://example.com/post-1',
+    title: 'Post 1',
+    summary: 'Summary',
+    content_html: '<p>Hello</p>',
+    date_published: '2019-06-01T10:00:00.000Z',
+    author: { name: 'Jane' }
+  })
+})
+
+test('create feed item with absolute urls', () => {
+  const fields = { url: 'path', title: 'title', date: 'date', content: 'content', author: 'author.name' }
+  const item = createItem({
+    path: '/blog/post-1',
+    title: 'Post 1',
+    date: '2019-06-01',
+    author: { name: 'Jane' },
+    content: '<a href="/about">About</a><img src="/prefix/assets/a.png"><a href="//cdn.com">CDN</a>'
+  }, fields, { origin: 'https://example.com', baseUrl: 'https://example.com/prefix' })
+
+  expect(item.url).toEqual('https://example.com/prefix/blog/post-1')
+  expect(item.author).toEqual('Jane')
+  expect(item.date).toEqual(new Date('2019-06-01'))
+  expect(item.content).toEqual(
+    '<a href="https://example.com/about">About</a>' +
+    '<img src="https://example.com/prefix/assets/a.png">' +
+    '<a href="//cdn.com">CDN</a>'
+  )
+})
+
+test('create selection from field paths', () => {
+  expect(createSelection(['id', 'title', 'author.name', 'author.email'])).toEqual(
+    '{ id title author { name email } }'
+  )
+})
+
+test('query nodes for a content type', async () => {
+  const outDir = path.join(__dirname, '__fixtures__', 'dist')
+  const plugin = {
+    use: path.resolve(__dirname, '..'),
+    options: { typeName: 'Post', fields: { description: 'excerpt' }}
+  }
+
+  const app = await new App(__dirname, {
+    localConfig: {
+      siteUrl: 'https://example.com',
+      outDir,
+      plugins: [
+        function (api) {
+          api.loadSource(store => {
+            const posts = store.addContentType({ typeName: 'Post', route: '/blog/:title' })
+            const authors = store.addContentType('Author')
+
+            posts.addReference('author', 'Author')
+            authors.addNode({ id: '1', name: 'Jane' })
+            posts.addNode({ title: 'first', date: '2019-01-01', excerpt: 'One', author: '1' })
+            posts.addNode({ title: 'second', date: '2019-02-01', excerpt: 'Two', author: '1' })
+          })
+        },
+        plugin
+      ]
+    }
+  })
+
+  await app.bootstrap(BOOTSTRAP_PAGES)
+  await app.events.dispatch('afterBuild', () => ({ config: app.config, queue: [], redirects: [] }))
+
+  const json = await fs.readJson(path.join(outDir, 'feed.json'))
+
+  expect(json.items.map(item => item.url)).toEqual([
+    'https://example.com/blog/second',
+    'https://example.com/blog/first'
+  ])
+  expect(json.items[0].summary).toEqual('Two')
+  expect(json.items[0].author).toBeUndefined()
+  expect(await fs.exists(path.join(outDir, 'rss.xml'))).toEqual(true)
+  expect(await fs.exists(path.join(outDir, 'atom.xml'))).toEqual(true)
+
+  await fs.remove(outDir)
+})
@@ -0,0 +1,5 @@
+export default function (Vue, { links = [] }, { head }) {
+  links.forEach(link => {
+    head.link.push({ rel: 'alternate', ...link })
+  })
+}
@@ -0,0 +1,208 @@
+const path = require('path')
+const fs = require('fs-extra')
+const { createRSS, createAtom, createJSONFeed } = require('./lib/feeds')
+
+const formats = {
+  rss: { create: createRSS, type: 'application/rss+xml' },
+  atom: { create: createAtom, type: 'application/atom+xml' },
+  json: { create: createJSONFeed, type: 'application/feed+json' }
+}
+
+function FeedPlugin (api, options) {
+  const { siteUrl, siteName, siteDescription, pathPrefix } = api.config
+  const origin = siteUrl.replace(/\/+$/, '')
+  const baseUrl = origin + pathPrefix
+  const outputs = Object.keys(formats).filter(format => options.output[format])
+  const title = options.title || siteName
+
+  let items = []
+
+  if (!options.typeName && !options.query) {
+    throw new Error(`Feed plugin requires a typeName or a query option.`)
+  }
+
+  if (options.injectLinks) {
+    api.setClientOptions({
+      links: outputs.map(format => ({
+        type: formats[format].type,
+        title,
+        href: baseUrl + options.output[format]
+      }))
+    })
+  }
+
+  api.createPages(async ({ graphql }) => {
+    const { query, variables } = options.query
+      ? { query: options.query, variables: {}}
+      : await createQuery(graphql, options)
+
+    const { data, errors } = await graphql(query, variables)
+
+    if (errors && errors.length) {
+      throw new Error(`Feed plugin failed to query nodes: ${errors[0].message}`)
+    }
+
+    items = findNodes(data)
+      .map(node => createItem(node, options.fields, { origin, baseUrl }))
+      .filter(item => !!item.url)
+  })
+
+  api.afterBuild(async ({ config }) => {
+    if (!config.siteUrl) {
+      throw new Error(`Feed plugin is missing a required siteUrl config.`)
+    }
+
+    const dates = items.filter(item => item.date).map(item => item.date)
+    const updated = dates.length ? new Date(Math.max(...dates)) : new Date()
+
+    for (const format of outputs) {
+      const output = options.output[format]
+      const filename = path.join(config.outDir, output)
+      const feed = {
+        title,
+        description: options.description || siteDescription,
+        homePageUrl: `${baseUrl}/`,
+        feedUrl: baseUrl + output,
+        updated
+      }
+
+      console.log(`Generate ${output} (${items.length} items)`)
+
+      await fs.outputFile(filename, formats[format].create(feed, items))
+    }
+  })
+}
+
+async function createQuery (graphql, { typeName, fields, limit }) {
+  const { data } = await graphql(`query ($typeName: String!) {
+    __type (name: $typeName) {
+      fields { name type { kind ofType { kind } } }
+    }
+  }`, { typeName })
+
+  if (!data.__type) {
+    throw new Error(`Feed plugin could not find the ${typeName} type.`)
+  }
+
+  const fieldNames = data.__type.fields.map(field => field.name)
+  const leafNames = data.__type.fields
+    .filter(({ type }) => isLeafType(type.ofType || type))
+    .map(field => field.name)
+
+  // object fields must be mapped with a path like `author.name`
+  const paths = Object.keys(fields)
+    .map(key => fields[key])
+    .filter(value => typeof value === 'string')
+    .filter(value => {
+      const [fieldName, ...rest] = value.split('.')
+      return rest.length ? fieldNames.includes(fieldName) : leafNames.includes(fieldName)
+    })
+
+  const sortBy = fieldNames.includes(fields.date) ? fields.date : undefined
+  const selection = createSelection(['id', 'path', ...paths])
+
+  return {
+    query: `query ($sortBy: String, $limit: Int) {
+      all${typeName} (sortBy: $sortBy, limit: $limit) {
+        edges { node ${selection} }
+      }
+    }`,
+    variables: { sortBy, limit }
+  }
+}
+
+function isLeafType ({ kind }) {
+  return kind === 'SCALAR' || kind === 'ENUM'
+}
+
+// Turns field paths like `author.name` into a selection set.
+function createSelection (paths) {
+  const tree = {}
+
+  for (const value of paths) {
+    value.split('.').reduce((node, key) => {
+      return (node[key] = node[key] || {})
+    }, tree)
+  }
+
+  const stringify = node => {
+    const keys = Object.keys(node)
+    if (!keys.length) return ''
+    return `{ ${keys.map(key => `${key} ${stringify(node[key])}`.trim()).join(' ')} }`
+  }
+
+  return stringify(tree)
+}
+
+// Use the first connection or list in the query results.
+function findNodes (data = {}) {
+  for (const key in data) {
+    const value = data[key]
+
+    if (value && Array.isArray(value.edges)) {
+      return value.edges.map(edge => edge.node)
+    } else if (Array.isArray(value)) {
+      return value
+    }
+  }
+
+  return []
+}
+
+function createItem (node, fields, { origin, baseUrl }) {
+  const value = key => typeof fields[key] === 'function'
+    ? fields[key](node)
+    : getValue(node, fields[key])
+
+  const url = value('url')
+  const date = value('date') ? new Date(value('date')) : null
+  const content = value('content')
+
+  return {
+    url: url && !/^https?:\/\//.test(url) ? baseUrl + url : url,
+    title: value('title'),
+    date: date && !isNaN(date) ? date : null,
+    description: value('description'),
+    author: value('author'),
+    content: content ? absoluteUrls(content, origin) : null
+  }
+}
+
+function getValue (node, fieldPath) {
+  if (typeof fieldPath !== 'string') return undefined
+
+  return fieldPath.split('.').reduce((value, key) => {
+    return value != null ? value[key] : undefined
+  }, node)
+}
+
+function absoluteUrls (html, origin) {
+  return html.replace(/(href|src)="\/(?!\/)/g, `$1="${origin}/`)
+}
+
+module.exports = FeedPlugin
+
+module.exports.createItem = createItem
+module.exports.createSelection = createSelection
+
+module.exports.defaultOptions = () => ({
+  typeName: null,
+  query: null,
+  limit: 20,
+  title: null,
+  description: null,
+  injectLinks: true,
+  fields: {
+    url: 'path',
+    title: 'title',
+    date: 'date',
+    description: 'description',
+    content: 'content',
+    author: 'author'
+  },
+  output: {
+    rss: '/rss.xml',
+    atom: '/atom.xml',
+    json: '/feed.json'
+  }
+})
@@ -0,0 +1,95 @@
+function createRSS (feed, items) {
+  const xml = []
+
+  xml.push('<?xml version="1.0" encoding="utf-8"?>')
+  xml.push('<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">')
+  xml.push('  <channel>')
+  xml.push(`    <title>${escapeXML(feed.title)}</title>`)
+  xml.push(`    <link>${escapeXML(feed.homePageUrl)}</link>`)
+  xml.push(`    <description>${escapeXML(feed.description)}</description>`)
+  xml.push(`    <atom:link href="${escapeXML(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`)
+  xml.push(`    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`)
+
+  for (const item of items) {
+    xml.push('    <item>')
+    xml.push(`      <title>${escapeXML(item.title)}</title>`)
+    xml.push(`      <link>${escapeXML(item.url)}</link>`)
+    xml.push(`      <guid isPermaLink="true">${escapeXML(item.url)}</guid>`)
+    if (item.date) xml.push(`      <pubDate>${item.date.toUTCString()}</pubDate>`)
+    if (item.description) xml.push(`      <description>${escapeXML(item.description)}</description>`)
+    if (item.content) xml.push(`      <content:encoded>${escapeXML(item.content)}</content:encoded>`)
+    if (item.author) xml.push(`      <dc:creator>${escapeXML(item.author)}</dc:creator>`)
+    xml.push('    </item>')
+  }
+
+  xml.push('  </channel>')
+  xml.push('</rss>')
+
+  return xml.join('\n') + '\n'
+}
+
+function createAtom (feed, items) {
+  const xml = []
+
+  xml.push('<?xml version="1.0" encoding="utf-8"?>')
+  xml.push('<feed xmlns="http://www.w3.org/2005/Atom">')
+  xml.push(`  <id>${escapeXML(feed.homePageUrl)}</id>`)
+  xml.push(`  <title>${escapeXML(feed.title)}</title>`)
+  if (feed.description) xml.push(`  <subtitle>${escapeXML(feed.description)}</subtitle>`)
+  xml.push(`  <updated>${feed.updated.toISOString()}</updated>`)
+  xml.push(`  <link href="${escapeXML(feed.homePageUrl)}"/>`)
+  xml.push(`  <link href="${escapeXML(feed.feedUrl)}" rel="self" type="application/atom+xml"/>`)
+
+  for (const item of items) {
+    const date = item.date || feed.updated
+
+    xml.push('  <entry>')
+    xml.push(`    <id>${escapeXML(item.url)}</id>`)
+    xml.push(`    <title>${escapeXML(item.title)}</title>`)
+    xml.push(`    <link href="${escapeXML(item.url)}"/>`)
+    xml.push(`    <updated>${date.toISOString()}</updated>`)
+    if (item.date) xml.push(`    <published>${item.date.toISOString()}</published>`)
+    if (item.author) xml.push(`    <author><name>${escapeXML(item.author)}</name></author>`)
+    if (item.description) xml.push(`    <summary type="html">${escapeXML(item.description)}</summary>`)
+    if (item.content) xml.push(`    <content type="html">${escapeXML(item.content)}</content>`)
+    xml.push('  </entry>')
+  }
+
+  xml.push('</feed>')
+
+  return xml.join('\n') + '\n'
+}
+
+function createJSONFeed (feed, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1',
+    title: feed.title,
+    home_page_url: feed.homePageUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description || undefined,
+    items: items.map(item => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.description || undefined,
+      content_html: item.content || undefined,
+      date_published: item.date ? item.date.toISOString() : undefined,
+      author: item.author ? { name: item.author } : undefined
+    }))
+  }, null, 2)
+}
+
+function escapeXML (value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+module.exports = {
+  createRSS,
+  createAtom,
+  createJSONFeed
+}
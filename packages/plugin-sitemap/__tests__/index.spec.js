@@ -0,0 +1,99 @@
+const path = require('path')
+const fs = require('fs-extra')
+const SitemapPlugin = require('../index')
+
+const {
+  findImages,
+  getLastmod,
+  createAlternates,
+  createChunkFilename
+} = SitemapPlugin
+
+const outDir = path.join(__dirname, '__fixtures__', 'dist')
+
+afterAll(() => fs.remove(path.dirname(outDir)))
+
+test('find processed g-image sources', () => {
+  const html = `
+    <img class="g-image g-image--lazy" src="data:image/svg+xml,..." data-src="/assets/static/a.123.jpg">
+    <noscript><img class="g-image g-image--loaded" src="/assets/static/a.123.jpg"></noscript>
+    <img class="g-image" src="/assets/static/b.456.png">
+    <img class="logo" src="/logo.png">
+  `
+
+  expect(findImages(html)).toEqual([
+    '/assets/static/a.123.jpg',
+    '/assets/static/b.456.png'
+  ])
+})
+
+test('get lastmod from node date field', () => {
+  const node = { date: '2019-06-01', updatedAt: '2019-07-01T10:00:00Z', internal: { typeName: 'Post' }}
+  const store = {
+    getContentType: () => ({ options: { dateField: 'updatedAt' }})
+  }
+
+  expect(getLastmod(null)).toBeNull()
+  expect(getLastmod(node)).toEqual('2019-06-01T00:00:00.000Z')
+  expect(getLastmod(node, store)).toEqual('2019-07-01T10:00:00.000Z')
+  expect(getLastmod(node, store, 'date')).toEqual('2019-06-01T00:00:00.000Z')
+  expect(getLastmod(node, null, 'invalid')).toBeNull()
+})
+
+test('create hreflang alternates for localized pages', () => {
+  const config = { locales: ['en', 'de'], defaultLocale: 'en' }
+  const pages = [
+    { path: '/about', locale: 'en' },
+    { path: '/de/about', locale: 'de' },
+    { path: '/de/only', locale: 'de' },
+    { path: '/contact', locale: null }
+  ]
+
+  const alternates = createAlternates(pages, config)
+  const links = [
+    { lang: 'en', url: '/about/' },
+    { lang: 'de', url: '/de/about/' },
+    { lang: 'x-default', url: '/about/' }
+  ]
+
+  expect(alternates.get('/about')).toEqual(links)
+  expect(alternates.get('/de/about')).toEqual(links)
+  expect(alternates.has('/de/only')).toEqual(false)
+  expect(alternates.has('/contact')).toEqual(false)
+  expect(createAlternates(pages, { locales: [] }).size).toEqual(0)
+})
+
+test('create chunk filenames', () => {
+  expect(createChunkFilename('/sitemap.xml', 1)).toEqual('/sitemap-1.xml')
+  expect(createChunkFilename('/maps/pages.xml', 2)).toEqual('/maps/pages-2.xml')
+})
+
+test('split sitemap and write a sitemap index', async () => {
+  let afterBuild
+
+  const api = { store: null, afterBuild: fn => (afterBuild = fn) }
+  const options = { ...SitemapPlugin.defaultOptions(), maxUrls: 2 }
+  const config = { siteUrl: 'https://example.com', pathPrefix: '/docs', outDir }
+  const queue = [
+    { path: '/' },
+    { path: '/a', node: { date: '2019-06-01', internal: { typeName: 'Post' }}},
+    { path: '/b' },
+    { path: '/404' }
+  ]
+
+  SitemapPlugin(api, options)
+
+  await afterBuild({ queue, config })
+
+  const index = await fs.readFile(path.join(outDir, 'sitemap.xml'), 'utf8')
+  const first = await fs.readFile(path.join(outDir, 'sitemap-1.xml'), 'utf8')
+  const second = await fs.readFile(path.join(outDir, 'sitemap-2.xml'), 'utf8')
+
+  expect(index).toMatch('<sitemapindex')
+  expect(index).toMatch('<loc>https://example.com/docs/sitemap-1.xml</loc>')
+  expect(index).toMatch('<loc>https://example.com/docs/sitemap-2.xml</loc>')
+  expect(first).toMatch('<loc>https://example.com/docs/a/</loc>')
+  expect(first).toMatch('<lastmod>2019-06-01T00:00:00.000Z</lastmod>')
+  expect(second).toMatch('<loc>https://example.com/docs/b/</loc>')
+  expect(second).not.toMatch('/404')
+})
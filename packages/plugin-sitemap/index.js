@@ -1,48 +1,205 @@
-module.exports = function (api, options) {
-  const path = require('path')
-  const fs = require('fs-extra')
-  const micromatch = require('micromatch')
+const path = require('path')
+const fs = require('fs-extra')
+const micromatch = require('micromatch')
+
+function SitemapPlugin (api, options) {
   const exclude = options.exclude.slice()
 
   exclude.push('/404') // always exclude 404 page
 
-  api.afterBuild(({ queue, config }) => {
+  api.afterBuild(async ({ queue, config }) => {
     if (!config.siteUrl) {
       throw new Error(`Sitemap plugin is missing a required siteUrl config.`)
     }
 
+    const { createSitemap, buildSitemapIndex } = require('sitemap')
     const patterns = Object.keys(options.config)
-    const filename = path.join(config.outDir, options.output)
     const pathPrefix = config.pathPrefix !== '/' ? config.pathPrefix : ''
+    const origin = config.siteUrl.replace(/\/+$/, '')
+    const hostname = origin + pathPrefix
     const pages = queue.filter(page => micromatch(page.path, exclude).length < 1)
     const staticUrls = options.staticUrls || []
+    const alternates = createAlternates(pages, config)
 
-    console.log(`Generate ${options.output} (${pages.length + staticUrls.length} pages)`)
+    const generatedUrls = []
 
-    const generatedUrls = pages.map(page => {
+    for (const page of pages) {
       const pattern = patterns.find(p => micromatch.isMatch(page.path, p))
       const urlConfig = options.config[pattern] || {}
-
-      return {
-        url: `${page.path}/`.replace(/\/+$/, '/'),
+      const url = {
+        url: createUrl(page.path),
         priority: urlConfig.priority,
         changefreq: urlConfig.changefreq
       }
-    })
 
-    const sitemap = require('sitemap').createSitemap({
-      hostname: config.siteUrl.replace(/\/+$/, '') + pathPrefix,
-      cacheTime: options.cacheTime,
-      urls: [...generatedUrls, ...staticUrls]
-    })
+      const lastmod = getLastmod(page.node, api.store, options.dateField)
+      if (lastmod) url.lastmodISO = lastmod
+
+      if (options.images && page.htmlOutput) {
+        const html = await fs.readFile(page.htmlOutput, 'utf8')
+        const images = findImages(html).map(src => ({ url: absoluteUrl(src, origin) }))
+        if (images.length) url.img = images
+      }
+
+      if (alternates.has(page.path)) {
+        url.links = alternates.get(page.path)
+      }
+
+      generatedUrls.push(url)
+    }
+
+    const urls = [...generatedUrls, ...staticUrls]
+    const chunks = chunk(urls, options.maxUrls)
+
+    if (chunks.length < 2) {
+      console.log(`Generate ${options.output} (${urls.length} pages)`)
+
+      return writeSitemap(options.output, createSitemap({
+        hostname,
+        cacheTime: options.cacheTime,
+        urls
+      }))
+    }
+
+    const filenames = []
+
+    for (let i = 0; i < chunks.length; i++) {
+      const filename = createChunkFilename(options.output, i + 1)
+
+      console.log(`Generate ${filename} (${chunks[i].length} pages)`)
 
-    return fs.outputFile(filename, sitemap.toString())
+      await writeSitemap(filename, createSitemap({
+        hostname,
+        cacheTime: options.cacheTime,
+        urls: chunks[i]
+      }))
+
+      filenames.push(filename)
+    }
+
+    console.log(`Generate ${options.output} (${filenames.length} sitemaps)`)
+
+    await writeSitemap(options.output, buildSitemapIndex({
+      urls: filenames.map(filename => hostname + filename)
+    }))
+
+    function writeSitemap (filename, sitemap) {
+      return fs.outputFile(path.join(config.outDir, filename), sitemap.toString())
+    }
   })
 }
 
+function createUrl (value) {
+  return `${value}/`.replace(/\/+$/, '/')
+}
+
+function absoluteUrl (value, origin) {
+  return /^\/(?!\/)/.test(value) ? origin + value : value
+}
+
+function chunk (urls, size) {
+  const chunks = []
+
+  for (let i = 0; i < urls.length; i += size) {
+    chunks.push(urls.slice(i, i + size))
+  }
+
+  return chunks
+}
+
+// Creates a filename like `/sitemap-1.xml` from `/sitemap.xml`.
+function createChunkFilename (output, index) {
+  const { dir, name, ext } = path.posix.parse(output)
+
+  return path.posix.join(dir, `${name}-${index}${ext}`)
+}
+
+function getLastmod (node, store, dateField) {
+  if (!node) return null
+
+  if (!dateField && store) {
+    const contentType = store.getContentType(node.internal.typeName)
+    dateField = contentType ? contentType.options.dateField : null
+  }
+
+  const value = node[dateField || 'date']
+  const date = value ? new Date(value) : null
+
+  return date && !isNaN(date) ? date.toISOString() : null
+}
+
+// Finds processed g-image sources in the rendered HTML.
+function findImages (html) {
+  const images = new Set()
+  const imgRE = /<img[^>]+class="[^"]*g-image[^"]*"[^>]*>/g
+  const srcRE = /\s(?:data-src|src)="([^"]+)"/g
+
+  let tag, src
+
+  while ((tag = imgRE.exec(html))) {
+    while ((src = srcRE.exec(tag[0]))) {
+      if (!src[1].startsWith('data:')) images.add(src[1])
+    }
+  }
+
+  return Array.from(images)
+}
+
+// Groups localized pages by their unlocalized path and
+// creates hreflang links for each page in the group.
+function createAlternates (pages, { locales = [], defaultLocale }) {
+  const groups = {}
+  const alternates = new Map()
+
+  if (locales.length < 2) return alternates
+
+  for (const page of pages) {
+    if (!page.locale) continue
+
+    const segments = page.path.split('/').filter(v => !!v)
+    if (segments[0] === page.locale) segments.shift()
+    const key = `/${segments.join('/')}`
+
+    groups[key] = (groups[key] || []).concat(page)
+  }
+
+  for (const key in groups) {
+    const group = groups[key]
+
+    if (group.length < 2) continue
+
+    const links = group.map(page => ({
+      lang: page.locale,
+      url: createUrl(page.path)
+    }))
+
+    const defaultPage = group.find(page => page.locale === defaultLocale)
+
+    if (defaultPage) {
+      links.push({ lang: 'x-default', url: createUrl(defaultPage.path) })
+    }
+
+    for (const page of group) {
+      alternates.set(page.path, links)
+    }
+  }
+
+  return alternates
+}
+
+module.exports = SitemapPlugin
+
+module.exports.findImages = findImages
+module.exports.getLastmod = getLastmod
+module.exports.createAlternates = createAlternates
+module.exports.createChunkFilename = createChunkFilename
+
 module.exports.defaultOptions = () => ({
   output: '/sitemap.xml',
   cacheTime: 600000,
+  maxUrls: 50000,
+  dateField: null,
+  images: false,
   staticUrls: [],
   exclude: [],
   config: {}
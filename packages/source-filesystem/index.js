@@ -30,7 +30,7 @@ class FilesystemSource {
     api.loadSource(async () => {
       this.createContentTypes()
       await this.createNodes()
-      if (isDev) this.watchFiles()
+      if (isDev || api.config.watch) this.watchFiles()
     })
   }
 